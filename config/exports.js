@@ -0,0 +1,17 @@
+const os = require('os');
+const path = require('path');
+require('dotenv').config();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+module.exports = {
+  // Directory finished archives are written to, by default in the system
+  // temp directory
+  dir: path.resolve(process.env.EXPORT_DIR || path.join(os.tmpdir(), 'chirp-exports')),
+  // Download links are signed with this secret
+  secret: process.env.EXPORT_SECRET || process.env.JWT_SECRET,
+  // How long an archive can be downloaded before it is removed
+  archiveTtl: (parseInt(process.env.EXPORT_TTL_DAYS) || 7) * DAY,
+  // How long a signed download link stays valid
+  linkTtl: 60 * 60 * 1000
+};
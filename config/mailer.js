@@ -0,0 +1,24 @@
+
+const os = require('os');
+const path = require('path');
+require('dotenv').config();
+
+// MAIL_TRANSPORT is "file" (default, writes messages to MAIL_DIR, by
+// default in the system temp directory) or "smtp"
+module.exports = {
+  transport: process.env.MAIL_TRANSPORT || 'file',
+  from: process.env.MAIL_FROM || 'Chirp <no-reply@chirp.local>',
+  dir: process.env.MAIL_DIR || path.join(os.tmpdir(), 'chirp-mail'),
+  smtp: {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT) || 25,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+    // Local stub servers usually don't offer TLS
+    ignoreTLS: process.env.SMTP_IGNORE_TLS === 'true'
+  },
+  // Base URL of the client app, used in links sent by email
+  clientUrl: process.env.CLIENT_URL || 'http://localhost:3000'
+};
@@ -0,0 +1,23 @@
+
+require('dotenv').config();
+
+// Scoring weights for the ranked "For You" timeline. Each can be overridden
+// with an environment variable, e.g. RANKING_LIKES_WEIGHT=2.
+const weight = (name, defaultValue) => {
+  const value = parseFloat(process.env[`RANKING_${name}_WEIGHT`]);
+  return Number.isNaN(value) ? defaultValue : value;
+};
+
+module.exports = {
+  likes: weight('LIKES', 1),
+  retweets: weight('RETWEETS', 2),
+  comments: weight('COMMENTS', 1.5),
+  // Boost per past interaction of the viewer with the author
+  affinity: weight('AFFINITY', 0.5),
+  // Multipliers by candidate source
+  following: weight('FOLLOWING', 1),
+  likedByFollowing: weight('LIKED_BY_FOLLOWING', 0.7),
+  secondDegree: weight('SECOND_DEGREE', 0.5),
+  // Hours after which a tweet's score is halved
+  recencyHalfLife: weight('RECENCY_HALF_LIFE', 12)
+};
@@ -0,0 +1,23 @@
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Rate limit policies: at most `limit` requests per sliding `windowMs`.
+// Requests are counted per authenticated user, or per IP when anonymous.
+module.exports = {
+  // Applied to every API request
+  global: { limit: 1000, windowMs: 15 * MINUTE },
+  // Login, registration and emailed-token endpoints
+  auth: { limit: 20, windowMs: 15 * MINUTE },
+  // Token refresh. Every signed-in client refreshes as its access token
+  // expires, and clients behind one NAT share an IP.
+  refresh: { limit: 600, windowMs: 15 * MINUTE },
+  tweet: { limit: 100, windowMs: HOUR },
+  media: { limit: 200, windowMs: HOUR },
+  like: { limit: 500, windowMs: HOUR },
+  vote: { limit: 500, windowMs: HOUR },
+  retweet: { limit: 200, windowMs: HOUR },
+  follow: { limit: 200, windowMs: HOUR },
+  message: { limit: 500, windowMs: HOUR },
+  report: { limit: 50, windowMs: HOUR }
+};
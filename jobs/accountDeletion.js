@@ -0,0 +1,157 @@
+
+const AccountDeletion = require('../models/AccountDeletion');
+const { DELETION_STEPS, setAccountStatus } = require('../utils/accounts');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const RUN_INTERVAL = parseInt(process.env.ACCOUNT_DELETION_INTERVAL_MS) || 60 * 1000;
+// A running deletion without a heartbeat for this long was interrupted
+const STALE_AFTER = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 10;
+// Doubled after each failed attempt
+const RETRY_DELAY = 60 * 1000;
+const KEEP_COMPLETED = 30 * DAY;
+
+// Take the next deletion that is due, or one whose process died
+const claimDeletion = () => {
+  const now = new Date();
+
+  return AccountDeletion.findOneAndUpdate(
+    {
+      $or: [
+        {
+          status: { $in: ['pending', 'failed'] },
+          nextAttemptAt: { $lte: now },
+          attempts: { $lt: MAX_ATTEMPTS }
+        },
+        { status: 'running', heartbeatAt: { $lt: new Date(now - STALE_AFTER) } }
+      ]
+    },
+    { $set: { status: 'running', heartbeatAt: now }, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// Run the steps a deletion hasn't completed yet
+const runDeletion = async (deletion) => {
+  const touch = (update) => AccountDeletion.updateOne(
+    { _id: deletion._id },
+    { ...update, $set: { ...update.$set, heartbeatAt: new Date() } }
+  );
+
+  try {
+    for (const step of DELETION_STEPS) {
+      if (deletion.completedSteps.includes(step.name)) continue;
+
+      await touch({ $set: { currentStep: step.name } });
+      await step.run(deletion.user, count => count > 0
+        ? touch({ $inc: { [`progress.${step.name}`]: count } })
+        : null
+      );
+      await touch({ $addToSet: { completedSteps: step.name } });
+    }
+
+    const now = new Date();
+    await touch({
+      $set: {
+        status: 'completed',
+        currentStep: null,
+        completedAt: now,
+        expiresAt: new Date(now.getTime() + KEEP_COMPLETED)
+      }
+    });
+  } catch (error) {
+    console.error(`Delete account ${deletion.user} error:`, error.message);
+
+    await touch({
+      $set: {
+        status: 'failed',
+        lastError: error.message,
+        nextAttemptAt: new Date(Date.now() + RETRY_DELAY * 2 ** (deletion.attempts - 1))
+      }
+    });
+  }
+};
+
+let processing = false;
+
+// Work through all due deletions, one at a time
+const processDeletions = async () => {
+  if (processing) return;
+  processing = true;
+
+  try {
+    let deletion;
+    while ((deletion = await claimDeletion())) {
+      await runDeletion(deletion);
+    }
+  } finally {
+    processing = false;
+  }
+};
+
+// Take an account offline and queue it for deletion. Calling this again
+// for the same user returns the existing deletion.
+const requestDeletion = async (userId) => {
+  await setAccountStatus(userId, 'deleting');
+
+  const deletion = await AccountDeletion.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  // Start right away instead of waiting for the next run
+  processDeletions().catch(error =>
+    console.error('Process account deletions error:', error.message)
+  );
+
+  return deletion;
+};
+
+// Give a deletion that ran out of attempts another round of them
+const retryDeletion = async (deletionId) => {
+  const deletion = await AccountDeletion.findOneAndUpdate(
+    { _id: deletionId, status: 'failed' },
+    { $set: { attempts: 0, nextAttemptAt: new Date() } },
+    { new: true }
+  );
+
+  if (deletion) {
+    processDeletions().catch(error =>
+      console.error('Process account deletions error:', error.message)
+    );
+  }
+
+  return deletion;
+};
+
+let timer = null;
+
+// Run on a schedule inside the process, which also resumes deletions
+// interrupted by a restart
+const start = () => {
+  if (timer) return;
+
+  const run = () => processDeletions().catch(error =>
+    console.error('Process account deletions error:', error.message)
+  );
+
+  run();
+  timer = setInterval(run, RUN_INTERVAL);
+  timer.unref();
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  requestDeletion,
+  retryDeletion,
+  processDeletions,
+  start,
+  stop
+};
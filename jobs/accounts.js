@@ -0,0 +1,71 @@
+
+const User = require('../models/User');
+const { REACTIVATION_WINDOW, setAccountStatus } = require('../utils/accounts');
+const { requestDeletion } = require('./accountDeletion');
+
+const RUN_INTERVAL = parseInt(process.env.ACCOUNTS_INTERVAL_MS) || 60 * 60 * 1000;
+
+// Move suspensions from before account statuses to the suspended status,
+// end suspensions that are over, then queue accounts whose reactivation
+// window has passed for deletion
+const processAccounts = async () => {
+  const now = new Date();
+
+  const legacy = await User.find({
+    status: 'active',
+    suspendedUntil: { $gt: now }
+  }).select('_id');
+
+  for (const user of legacy) {
+    await setAccountStatus(user._id, 'suspended');
+  }
+
+  const expired = await User.find({
+    status: 'suspended',
+    suspendedUntil: { $lte: now }
+  }).select('_id');
+
+  for (const user of expired) {
+    await setAccountStatus(user._id, 'active', { suspendedUntil: null });
+  }
+
+  const deactivated = await User.find({
+    status: 'deactivated',
+    deactivatedAt: { $lte: new Date(now - REACTIVATION_WINDOW) }
+  }).select('_id');
+
+  // One account failing to queue shouldn't hold up the rest
+  for (const user of deactivated) {
+    try {
+      await requestDeletion(user._id);
+    } catch (error) {
+      console.error(`Queue deletion of ${user._id} error:`, error.message);
+    }
+  }
+};
+
+let timer = null;
+
+// Run on a schedule inside the process
+const start = () => {
+  if (timer) return;
+
+  const run = () => processAccounts().catch(error =>
+    console.error('Process accounts error:', error.message)
+  );
+
+  run();
+  timer = setInterval(run, RUN_INTERVAL);
+  timer.unref();
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  processAccounts,
+  start,
+  stop
+};
@@ -0,0 +1,146 @@
+
+const User = require('../models/User');
+const DataExport = require('../models/DataExport');
+const { buildArchive, removeArchive } = require('../utils/dataExport');
+const { archiveTtl } = require('../config/exports');
+
+const RUN_INTERVAL = parseInt(process.env.DATA_EXPORT_INTERVAL_MS) || 60 * 1000;
+// A running export without a heartbeat for this long was interrupted
+const STALE_AFTER = 10 * 60 * 1000;
+const HEARTBEAT_INTERVAL = 60 * 1000;
+
+// Day an export requested now counts towards, as stored in DataExport.day
+const exportDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+// Take the oldest pending export, or one whose process died
+const claimExport = () => {
+  const now = new Date();
+
+  return DataExport.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending' },
+        { status: 'running', heartbeatAt: { $lt: new Date(now - STALE_AFTER) } }
+      ]
+    },
+    { $set: { status: 'running', heartbeatAt: now } },
+    { new: true, sort: { createdAt: 1 } }
+  );
+};
+
+const runExport = async (dataExport) => {
+  const fileName = `${dataExport._id}.zip`;
+  const heartbeat = setInterval(() => {
+    DataExport.updateOne({ _id: dataExport._id }, { $set: { heartbeatAt: new Date() } })
+      .catch(error => console.error('Export heartbeat error:', error.message));
+  }, HEARTBEAT_INTERVAL);
+
+  try {
+    const user = await User.findById(dataExport.user).select('status');
+
+    if (!user || user.status === 'deleting') {
+      throw new Error('Account is being deleted');
+    }
+
+    const size = await buildArchive(dataExport.user, fileName);
+
+    const now = new Date();
+    await DataExport.updateOne(
+      { _id: dataExport._id },
+      {
+        $set: {
+          status: 'completed',
+          fileName,
+          size,
+          completedAt: now,
+          expiresAt: new Date(now.getTime() + archiveTtl)
+        }
+      }
+    );
+  } catch (error) {
+    console.error(`Export data of ${dataExport.user} error:`, error.message);
+
+    await removeArchive(fileName);
+    await DataExport.updateOne(
+      { _id: dataExport._id },
+      {
+        $set: {
+          status: 'failed',
+          error: error.message,
+          expiresAt: new Date(Date.now() + archiveTtl)
+        },
+        // Failed exports don't count towards the daily limit
+        $unset: { day: 1 }
+      }
+    );
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+// Remove archives past their expiry along with their records
+const removeExpiredExports = async () => {
+  const expired = await DataExport.find({ expiresAt: { $lte: new Date() } });
+
+  for (const dataExport of expired) {
+    await removeArchive(dataExport.fileName);
+    await DataExport.deleteOne({ _id: dataExport._id });
+  }
+};
+
+let processing = false;
+
+// Build all queued exports, one at a time
+const processExports = async () => {
+  if (processing) return;
+  processing = true;
+
+  try {
+    await removeExpiredExports();
+
+    let dataExport;
+    while ((dataExport = await claimExport())) {
+      await runExport(dataExport);
+    }
+  } finally {
+    processing = false;
+  }
+};
+
+// Queue an export of a user's data and start building it
+const requestExport = async (userId) => {
+  const dataExport = await DataExport.create({ user: userId, day: exportDay() });
+
+  processExports().catch(error =>
+    console.error('Process data exports error:', error.message)
+  );
+
+  return dataExport;
+};
+
+let timer = null;
+
+const start = () => {
+  if (timer) return;
+
+  const run = () => processExports().catch(error =>
+    console.error('Process data exports error:', error.message)
+  );
+
+  run();
+  timer = setInterval(run, RUN_INTERVAL);
+  timer.unref();
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  exportDay,
+  requestExport,
+  processExports,
+  start,
+  stop
+};
@@ -0,0 +1,141 @@
+
+const Draft = require('../models/Draft');
+const Tweet = require('../models/Tweet');
+const User = require('../models/User');
+const { extractEntities } = require('../utils/entities');
+const { notifyMentions } = require('../utils/notifications');
+const { publishTweet } = require('../utils/realtime');
+const { tweetPopulate } = require('../utils/tweets');
+
+const RUN_INTERVAL = parseInt(process.env.DRAFTS_INTERVAL_MS) || 30 * 1000;
+// A draft claimed this long ago without being published was interrupted
+const STALE_AFTER = 5 * 60 * 1000;
+
+// Claim a draft for publishing so that no other instance publishes it.
+// Without an ID, takes the next scheduled draft that is due.
+const claimDraft = (filter = null) => {
+  const now = new Date();
+
+  return Draft.findOneAndUpdate(
+    filter || {
+      $or: [
+        { status: 'scheduled', scheduledAt: { $lte: now } },
+        { status: 'publishing', claimedAt: { $lt: new Date(now - STALE_AFTER) } }
+      ]
+    },
+    { $set: { status: 'publishing', claimedAt: now } },
+    { new: true, sort: { scheduledAt: 1 } }
+  );
+};
+
+// Create the tweet for a claimed draft. Returns the tweet, or null if
+// publishing failed, in which case the draft records why.
+const publishDraft = async (draft) => {
+  try {
+    const user = await User.findById(draft.user);
+
+    if (!user || !user.isActive()) {
+      throw new Error('Account is not active');
+    }
+
+    if (user.emailVerified === false) {
+      throw new Error('Please verify your email address first');
+    }
+
+    // An interrupted earlier attempt may already have created it
+    let tweet = await Tweet.findById(draft.tweet);
+
+    if (!tweet) {
+      if (!draft.content && !draft.image) {
+        throw new Error('Tweet content is required');
+      }
+
+      const { entities, hashtags } = await extractEntities(draft.content);
+
+      tweet = new Tweet({
+        _id: draft.tweet,
+        user: user._id,
+        content: draft.content,
+        image: draft.image,
+        entities,
+        hashtags,
+        isProtected: user.isProtected
+      });
+      await tweet.save();
+
+      await notifyMentions(tweet);
+      await tweet.populate(tweetPopulate);
+      await publishTweet(tweet);
+    }
+
+    await Draft.updateOne(
+      { _id: draft._id },
+      { $set: { status: 'published', publishedAt: new Date(), error: null } }
+    );
+
+    return tweet;
+  } catch (error) {
+    // Another instance created the tweet first
+    if (error.code === 11000) {
+      await Draft.updateOne(
+        { _id: draft._id },
+        { $set: { status: 'published', publishedAt: new Date(), error: null } }
+      );
+      return Tweet.findById(draft.tweet);
+    }
+
+    console.error(`Publish draft ${draft._id} error:`, error.message);
+
+    await Draft.updateOne(
+      { _id: draft._id },
+      { $set: { status: 'failed', error: error.message } }
+    );
+
+    return null;
+  }
+};
+
+let processing = false;
+
+// Publish all scheduled drafts that are due, including ones that became
+// due while no server was running
+const processDrafts = async () => {
+  if (processing) return;
+  processing = true;
+
+  try {
+    let draft;
+    while ((draft = await claimDraft())) {
+      await publishDraft(draft);
+    }
+  } finally {
+    processing = false;
+  }
+};
+
+let timer = null;
+
+const start = () => {
+  if (timer) return;
+
+  const run = () => processDrafts().catch(error =>
+    console.error('Process drafts error:', error.message)
+  );
+
+  run();
+  timer = setInterval(run, RUN_INTERVAL);
+  timer.unref();
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  claimDraft,
+  publishDraft,
+  processDrafts,
+  start,
+  stop
+};
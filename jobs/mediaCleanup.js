@@ -0,0 +1,49 @@
+
+const Media = require('../models/Media');
+const { destroyMedia } = require('../utils/media');
+
+const HOUR = 60 * 60 * 1000;
+
+const RUN_INTERVAL = parseInt(process.env.MEDIA_CLEANUP_INTERVAL_MS) || HOUR;
+// How long uploaded media can wait to be attached to a tweet
+const ORPHAN_AGE = (parseInt(process.env.MEDIA_ORPHAN_HOURS) || 24) * HOUR;
+const BATCH_SIZE = 100;
+
+// Delete media that was uploaded but never attached to a tweet
+const removeOrphanedMedia = async () => {
+  const cutoff = new Date(Date.now() - ORPHAN_AGE);
+  let batch;
+
+  while ((batch = await Media.find({ tweet: null, createdAt: { $lte: cutoff } })
+    .limit(BATCH_SIZE)).length > 0) {
+    for (const media of batch) {
+      await destroyMedia(media);
+    }
+  }
+};
+
+let timer = null;
+
+// Run on a schedule inside the process
+const start = () => {
+  if (timer) return;
+
+  const run = () => removeOrphanedMedia().catch(error =>
+    console.error('Remove orphaned media error:', error.message)
+  );
+
+  run();
+  timer = setInterval(run, RUN_INTERVAL);
+  timer.unref();
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  removeOrphanedMedia,
+  start,
+  stop
+};
@@ -0,0 +1,222 @@
+
+const Tweet = require('../models/Tweet');
+const User = require('../models/User');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Each window is compared against the average of the windows before it
+const WINDOWS = {
+  '1h': { duration: HOUR, baselinePeriods: 24 },
+  '24h': { duration: DAY, baselinePeriods: 7 }
+};
+
+const RECOMPUTE_INTERVAL = parseInt(process.env.TRENDS_INTERVAL_MS) || 5 * 60 * 1000;
+const MAX_TRENDS = 20;
+const MIN_COUNT = 3;
+const SAMPLE_SIZE = 3;
+const TERMS_BATCH_SIZE = 500;
+const NEW_ACCOUNT_AGE = 7 * DAY;
+const NEW_ACCOUNT_WEIGHT = 0.25;
+
+const STOPWORDS = new Set([
+  'about', 'after', 'again', 'also', 'been', 'before', 'being', 'could', 'does',
+  'doing', 'from', 'have', 'having', 'here', 'into', 'just', 'like', 'more',
+  'most', 'much', 'only', 'other', 'over', 'same', 'should', 'some', 'such',
+  'than', 'that', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+  'those', 'very', 'were', 'what', 'when', 'where', 'which', 'while', 'will',
+  'with', 'would', 'your', 'yours'
+]);
+
+// Latest results per window
+const latest = {};
+
+// Terms a tweet contributes: its hashtags and remaining keywords
+const termsOf = (tweet) => {
+  const terms = (tweet.hashtags || []).map(tag => `#${tag}`);
+
+  const text = tweet.content
+    .replace(/https?:\/\/[^\s]+/g, ' ')
+    .replace(/[#@][\p{L}\p{N}_]+/gu, ' ')
+    .toLowerCase();
+  const keywords = text.match(/\p{L}[\p{L}\p{N}']{3,}/gu) || [];
+
+  keywords
+    .filter(word => !STOPWORDS.has(word))
+    .forEach(word => terms.push(word));
+
+  return [...new Set(terms)];
+};
+
+// Store the terms of tweets from the longest baseline that don't have them
+// yet: new tweets, and edited ones, whose terms are cleared on edit. This
+// way each tweet's content is read once instead of on every run. The
+// author's sign-up time is stored with them for weighting, and filled in
+// for tweets that only have terms.
+const indexTerms = async (since) => {
+  let batch;
+
+  while ((batch = await Tweet.find({
+    createdAt: { $gte: since },
+    content: { $nin: [null, ''] },
+    $or: [{ trendTerms: { $exists: false } }, { authorCreatedAt: { $exists: false } }],
+    deletedAt: null
+  })
+  .select('user content hashtags')
+  .limit(TERMS_BATCH_SIZE)
+  .lean()).length > 0) {
+    const authors = await User.find({ _id: { $in: batch.map(tweet => tweet.user) } })
+      .select('_id createdAt');
+    const joinedAt = new Map(authors.map(author => [author._id.toString(), author.createdAt]));
+
+    // Match the content read, so terms of an edit made meanwhile aren't
+    // overwritten with the old ones
+    await Tweet.bulkWrite(batch.map(tweet => ({
+      updateOne: {
+        filter: { _id: tweet._id, content: tweet.content },
+        update: {
+          $set: {
+            trendTerms: termsOf(tweet),
+            authorCreatedAt: joinedAt.get(tweet.user.toString()) || null
+          }
+        }
+      }
+    })));
+  }
+};
+
+// How much a tweet's author counts towards trends: less for new accounts,
+// nothing for accounts that are gone. Tweets of suspended and other
+// inactive accounts are left out altogether.
+const authorWeight = (now) => ({
+  $switch: {
+    branches: [
+      { case: { $not: ['$authorCreatedAt'] }, then: 0 },
+      { case: { $gt: ['$authorCreatedAt', new Date(now - NEW_ACCOUNT_AGE)] }, then: NEW_ACCOUNT_WEIGHT }
+    ],
+    default: 1
+  }
+});
+
+// Only tweets that count towards trends, with their terms stored
+const countedTweets = (since) => ({
+  createdAt: { $gte: since },
+  'trendTerms.0': { $exists: true },
+  authorInactive: { $ne: true },
+  isProtected: { $ne: true },
+  deletedAt: null
+});
+
+// Count weighted term use in the current window and its baseline. Each
+// author counts at most once per term and period. Protected tweets are left
+// out, as trends and their samples are public. Counting, weighting and
+// ranking happen in the database, which returns only the top terms.
+const computeWindow = async (name, now) => {
+  const { duration, baselinePeriods } = WINDOWS[name];
+  const windowStart = new Date(now - duration);
+  const baselineStart = new Date(now - duration * (baselinePeriods + 1));
+
+  const top = await Tweet.aggregate([
+    { $match: countedTweets(baselineStart) },
+    {
+      $project: {
+        user: 1,
+        trendTerms: 1,
+        isCurrent: { $gte: ['$createdAt', windowStart] },
+        weight: authorWeight(now)
+      }
+    },
+    { $unwind: '$trendTerms' },
+    {
+      $group: {
+        _id: { term: '$trendTerms', user: '$user' },
+        current: { $max: '$isCurrent' },
+        baseline: { $max: { $not: ['$isCurrent'] } },
+        weight: { $max: '$weight' }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.term',
+        count: { $sum: { $cond: ['$current', '$weight', 0] } },
+        baseline: { $sum: { $cond: ['$baseline', '$weight', 0] } },
+        authors: { $sum: { $cond: ['$current', 1, 0] } }
+      }
+    },
+    { $match: { count: { $gte: MIN_COUNT } } },
+    { $addFields: { baseline: { $divide: ['$baseline', baselinePeriods] } } },
+    { $match: { $expr: { $gt: ['$count', '$baseline'] } } },
+    // Acceleration over the baseline, smoothed so that rare terms don't
+    // trend on a handful of uses
+    {
+      $addFields: {
+        score: { $divide: [{ $add: ['$count', 1] }, { $add: ['$baseline', 1] }] }
+      }
+    },
+    { $sort: { score: -1, authors: -1 } },
+    { $limit: MAX_TRENDS }
+  ]).allowDiskUse(true);
+
+  return Promise.all(top.map(async ({ _id: term, authors, baseline, score }) => {
+    const samples = await Tweet.find({ ...countedTweets(windowStart), trendTerms: term })
+      .select('_id')
+      .sort({ createdAt: -1 })
+      .limit(SAMPLE_SIZE);
+
+    return {
+      term,
+      type: term.startsWith('#') ? 'hashtag' : 'keyword',
+      count: authors,
+      baseline: Math.round(baseline * 100) / 100,
+      score: Math.round(score * 100) / 100,
+      sampleTweets: samples.map(tweet => tweet._id)
+    };
+  }));
+};
+
+// Recompute all windows
+const computeTrends = async () => {
+  const now = Date.now();
+
+  const longest = Math.max(...Object.values(WINDOWS)
+    .map(({ duration, baselinePeriods }) => duration * (baselinePeriods + 1)));
+  await indexTerms(new Date(now - longest));
+
+  for (const name of Object.keys(WINDOWS)) {
+    latest[name] = {
+      window: name,
+      computedAt: new Date(now),
+      trends: await computeWindow(name, now)
+    };
+  }
+};
+
+const getTrends = (window) => latest[window] || null;
+
+let timer = null;
+
+// Recompute on a schedule inside the process
+const start = () => {
+  if (timer) return;
+
+  const run = () => computeTrends().catch(error =>
+    console.error('Compute trends error:', error.message)
+  );
+
+  run();
+  timer = setInterval(run, RECOMPUTE_INTERVAL);
+  timer.unref();
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  WINDOWS,
+  computeTrends,
+  getTrends,
+  start,
+  stop
+};
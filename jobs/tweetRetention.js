@@ -0,0 +1,79 @@
+
+const Tweet = require('../models/Tweet');
+const Media = require('../models/Media');
+const { destroyImage, destroyMedia } = require('../utils/media');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const RUN_INTERVAL = parseInt(process.env.TWEET_RETENTION_INTERVAL_MS) || 60 * 60 * 1000;
+// How long deleted tweets keep their content, e.g. for moderation
+const RETENTION_PERIOD = (parseInt(process.env.TWEET_RETENTION_DAYS) || 30) * DAY;
+const BATCH_SIZE = 100;
+
+// Purge the content of tombstones past the retention period. Tombstones
+// without replies have nothing left to hold in place and are removed.
+const purgeDeletedTweets = async () => {
+  const cutoff = new Date(Date.now() - RETENTION_PERIOD);
+  let batch;
+
+  while ((batch = await Tweet.find({ deletedAt: { $lte: cutoff }, purgedAt: null })
+    .select('_id image')
+    .limit(BATCH_SIZE)).length > 0) {
+    for (const tweet of batch) {
+      await destroyImage(tweet.image);
+
+      for (const media of await Media.find({ tweet: tweet._id })) {
+        await destroyMedia(media);
+      }
+
+      if (await Tweet.exists({ replyTo: tweet._id })) {
+        await Tweet.updateOne(
+          { _id: tweet._id },
+          {
+            $set: {
+              content: '',
+              image: '',
+              media: [],
+              entities: [],
+              hashtags: [],
+              revisions: [],
+              likes: [],
+              purgedAt: new Date()
+            },
+            // The poll keeps who voted, and the quote and label what the
+            // tweet was about
+            $unset: { poll: 1, quoteOf: 1, warningLabel: 1, trendTerms: 1, authorCreatedAt: 1 }
+          }
+        );
+      } else {
+        await Tweet.deleteOne({ _id: tweet._id });
+      }
+    }
+  }
+};
+
+let timer = null;
+
+// Run on a schedule inside the process
+const start = () => {
+  if (timer) return;
+
+  const run = () => purgeDeletedTweets().catch(error =>
+    console.error('Purge deleted tweets error:', error.message)
+  );
+
+  run();
+  timer = setInterval(run, RUN_INTERVAL);
+  timer.unref();
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  purgeDeletedTweets,
+  start,
+  stop
+};
@@ -1,6 +1,5 @@
 
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { TokenError, verifyAccessToken } = require('../utils/tokens');
 
 const auth = async (req, res, next) => {
   try {
@@ -13,20 +12,20 @@ const auth = async (req, res, next) => {
     
     const token = authHeader.replace('Bearer ', '');
     
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Find user
-    const user = await User.findById(decoded.id).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({ message: 'Invalid token' });
-    }
+    // Verify token and its session
+    const { user, session } = await verifyAccessToken(token);
     
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error.message);
+    
+    // Revoked sessions and inactive accounts say why
+    if (error instanceof TokenError) {
+      return res.status(401).json({ message: error.message });
+    }
+    
     res.status(401).json({ message: 'Token is not valid' });
   }
 };
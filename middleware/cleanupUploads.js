@@ -0,0 +1,25 @@
+
+const fs = require('fs');
+
+// Delete files stored in uploads/ by the upload middleware once the request
+// is over. By then they have been sent to Cloudinary or rejected.
+const cleanupUploads = (req, res, next) => {
+  res.on('close', () => {
+    const files = [
+      req.file,
+      ...(Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat())
+    ].filter(Boolean);
+
+    for (const file of files) {
+      fs.unlink(file.path, error => {
+        if (error && error.code !== 'ENOENT') {
+          console.error('Delete upload error:', error.message);
+        }
+      });
+    }
+  });
+
+  next();
+};
+
+module.exports = cleanupUploads;
@@ -0,0 +1,41 @@
+
+const { MB, MAX_SIZES, MEDIA_TYPES, sniffMimeType } = require('../utils/fileType');
+
+// Check uploaded files by their content rather than their name. Takes the
+// kinds of media a route accepts ('image', 'gif', 'video') and sets
+// `mimeType` and `mediaType` on each file. Must run after upload.
+const mediaType = (...allowed) => {
+  // e.g. "image, gif or video"
+  const names = allowed.join(', ').replace(/, ([^,]+)$/, ' or $1');
+
+  return async (req, res, next) => {
+    const files = [req.file, ...(Array.isArray(req.files) ? req.files : [])].filter(Boolean);
+
+    try {
+      for (const file of files) {
+        const mimeType = await sniffMimeType(file.path);
+        const type = MEDIA_TYPES[mimeType];
+
+        if (!allowed.includes(type)) {
+          return res.status(400).json({ message: `Only ${names} files are allowed` });
+        }
+
+        if (file.size > MAX_SIZES[type]) {
+          return res.status(400).json({
+            message: `File is too large; ${type} files can be at most ${MAX_SIZES[type] / MB}MB`
+          });
+        }
+
+        file.mimeType = mimeType;
+        file.mediaType = type;
+      }
+
+      next();
+    } catch (error) {
+      console.error('Check upload type error:', error.message);
+      res.status(500).json({ message: 'Server error' });
+    }
+  };
+};
+
+module.exports = mediaType;
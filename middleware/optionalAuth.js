@@ -0,0 +1,27 @@
+
+const { verifyAccessToken } = require('../utils/tokens');
+
+// Like auth, but lets anonymous requests through. Sets req.user when a valid
+// token is sent so public routes can personalize their response.
+const optionalAuth = async (req, res, next) => {
+  try {
+    const authHeader = req.header('Authorization');
+    
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return next();
+    }
+    
+    const token = authHeader.replace('Bearer ', '');
+    const { user, session } = await verifyAccessToken(token);
+    
+    req.user = user;
+    req.authSession = session;
+  } catch (error) {
+    // Invalid token, but we'll still serve the request anonymously
+    console.error('Token verification error:', error.message);
+  }
+  
+  next();
+};
+
+module.exports = optionalAuth;
@@ -0,0 +1,74 @@
+
+const mongoose = require('mongoose');
+const { DEFAULT_LIMIT, MAX_LIMIT, decodeCursor } = require('../utils/pagination');
+
+const isPosition = (payload) => {
+  return payload &&
+    !Number.isNaN(new Date(payload.v).getTime()) &&
+    mongoose.Types.ObjectId.isValid(payload.id);
+};
+
+// A place in a ranked list: when it was ranked, and the score and ID of
+// the last item seen
+const isRank = (payload) => {
+  return payload &&
+    Number.isFinite(payload.at) &&
+    Number.isFinite(payload.score) &&
+    mongoose.Types.ObjectId.isValid(payload.id);
+};
+
+// A place in a list of IDs kept in an array: an ID and its index
+const isAnchor = (payload) => {
+  return payload &&
+    Number.isInteger(payload.index) &&
+    payload.index >= 0 &&
+    mongoose.Types.ObjectId.isValid(payload.id);
+};
+
+// Parse ?limit, ?cursor (older items) and ?since (newer items) into
+// req.page. Use { ranked: true } for lists ordered by a score rather than
+// a field, whose cursors hold a rank; it may also be a function of the
+// request. Use { listed: true } for lists of IDs kept in an array, paged
+// with arrayPage.
+const pagination = ({
+  defaultLimit = DEFAULT_LIMIT,
+  ranked = false,
+  listed = false
+} = {}) => (req, res, next) => {
+  const useRank = typeof ranked === 'function' ? ranked(req) : ranked;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || defaultLimit, 1), MAX_LIMIT);
+  const raw = req.query.since || req.query.cursor;
+  
+  req.page = {
+    limit,
+    direction: req.query.since ? 'newer' : 'older',
+    position: null,
+    rank: null,
+    anchor: null
+  };
+  
+  if (!raw) {
+    return next();
+  }
+  
+  const payload = decodeCursor(raw);
+  
+  if (useRank && isRank(payload)) {
+    req.page.rank = payload;
+    return next();
+  }
+  
+  if (listed && isAnchor(payload)) {
+    req.page.anchor = payload;
+    return next();
+  }
+  
+  if (!useRank && !listed && isPosition(payload)) {
+    req.page.position = payload;
+    return next();
+  }
+  
+  res.status(400).json({ message: 'Invalid cursor' });
+};
+
+module.exports = pagination;
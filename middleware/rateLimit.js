@@ -0,0 +1,53 @@
+
+const policies = require('../config/rateLimits');
+const { getStore } = require('../utils/rateLimitStore');
+
+// Limit requests with a sliding window counter. The previous fixed window's
+// count is weighted by how much of it still overlaps the sliding window.
+// Place after auth to count per user instead of per IP.
+const rateLimit = (policyName) => {
+  const policy = policies[policyName];
+
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy: ${policyName}`);
+  }
+
+  const { limit, windowMs } = policy;
+
+  return async (req, res, next) => {
+    try {
+      const subject = req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+      const key = `${policyName}:${subject}`;
+
+      const now = Date.now();
+      const windowStart = Math.floor(now / windowMs) * windowMs;
+      const store = getStore();
+
+      const current = await store.increment(`${key}:${windowStart}`, 2 * windowMs);
+      const previous = (await store.get(`${key}:${windowStart - windowMs}`)) || 0;
+
+      const overlap = 1 - (now - windowStart) / windowMs;
+      const count = Math.ceil(previous * overlap + current);
+      const resetSeconds = Math.ceil((windowStart + windowMs - now) / 1000);
+
+      res.set({
+        'RateLimit-Limit': String(limit),
+        'RateLimit-Remaining': String(Math.max(0, limit - count)),
+        'RateLimit-Reset': String(resetSeconds)
+      });
+
+      if (count > limit) {
+        res.set('Retry-After', String(resetSeconds));
+        return res.status(429).json({ message: 'Too many requests, please try again later' });
+      }
+
+      next();
+    } catch (error) {
+      // Don't take the API down when the store is unavailable
+      console.error('Rate limit error:', error.message);
+      next();
+    }
+  };
+};
+
+module.exports = rateLimit;
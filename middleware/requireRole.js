@@ -0,0 +1,11 @@
+
+// Allow only users with one of the given roles. Place after auth.
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ message: 'Access denied' });
+  }
+
+  next();
+};
+
+module.exports = requireRole;
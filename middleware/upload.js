@@ -1,6 +1,7 @@
 
 const multer = require('multer');
 const path = require('path');
+const { MAX_SIZES } = require('../utils/fileType');
 
 // Configure storage
 const storage = multer.diskStorage({
@@ -12,22 +13,30 @@ const storage = multer.diskStorage({
   }
 });
 
-// File filter
+// File filter. The declared type can't be trusted; routes check the
+// content with the mediaType middleware.
 const fileFilter = (req, file, cb) => {
-  // Accept images only
-  if (!file.originalname.match(/\.(jpg|jpeg|png|gif)$/)) {
-    return cb(new Error('Only image files are allowed!'), false);
+  // Accept images and videos only
+  if (!file.mimetype.match(/^(image|video)\//)) {
+    return cb(new Error('Only image and video files are allowed!'), false);
   }
   cb(null, true);
 };
 
-// Initialize upload
-const upload = multer({
+// Initialize an upload that stops reading files past the given size, so
+// an oversized file isn't written to disk in full before it's rejected
+const createUpload = (maxSize) => multer({
   storage: storage,
   limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB
+    fileSize: maxSize
   },
   fileFilter: fileFilter
 });
 
+// For images and GIFs, which is what most routes take
+const upload = createUpload(MAX_SIZES.gif);
+
+// For routes that also take videos
+upload.video = createUpload(MAX_SIZES.video);
+
 module.exports = upload;
@@ -0,0 +1,15 @@
+
+// Restricts a route to users who confirmed their email address. Must run
+// after auth. Unverified users can manage their own account and block, mute
+// or report others, but nothing that reaches other users: posting, liking,
+// retweeting, voting, following or messaging. Accounts created before email
+// verification existed have no emailVerified value and are treated as
+// verified.
+const verifiedEmail = (req, res, next) => {
+  if (req.user.emailVerified === false) {
+    return res.status(403).json({ message: 'Please verify your email address first' });
+  }
+  next();
+};
+
+module.exports = verifiedEmail;
@@ -0,0 +1,60 @@
+
+const mongoose = require('mongoose');
+
+// Progress of permanently deleting an account. Steps run in order and
+// each is recorded once done, so an interrupted or failed deletion picks
+// up where it stopped.
+const AccountDeletionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+  completedSteps: [{
+    type: String
+  }],
+  currentStep: {
+    type: String,
+    default: null
+  },
+  // Number of items processed by each step
+  progress: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String
+  },
+  // Refreshed while running; a stale heartbeat means the process died
+  heartbeatAt: {
+    type: Date
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date
+  },
+  // Completed deletions are kept for a while, then removed
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+AccountDeletionSchema.index({ status: 1, nextAttemptAt: 1 });
+AccountDeletionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AccountDeletion', AccountDeletionSchema);
@@ -0,0 +1,78 @@
+
+const mongoose = require('mongoose');
+
+// Record of a moderation action. Entries are append-only: the model
+// rejects any update or delete.
+const AuditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: [
+      'resolve_report',
+      'dismiss_report',
+      'delete_tweet',
+      'add_warning_label',
+      'remove_warning_label',
+      'suspend_user',
+      'unsuspend_user',
+      'ban_user',
+      'unban_user',
+      'change_role'
+    ],
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['tweet', 'user', 'message', 'report'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report',
+    default: null
+  },
+  // Action specific data, e.g. a snapshot of deleted content
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+AuditLogSchema.index({ target: 1, createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+
+AuditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be changed'));
+  }
+  next();
+});
+
+AuditLogSchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'replaceOne',
+    'findOneAndUpdate',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete'
+  ],
+  { document: true, query: true },
+  function(next) {
+    next(new Error('Audit log entries cannot be changed'));
+  }
+);
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
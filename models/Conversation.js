@@ -0,0 +1,60 @@
+
+const mongoose = require('mongoose');
+
+const ConversationSchema = new mongoose.Schema({
+  participants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  isGroup: {
+    type: Boolean,
+    default: false
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Read receipts: when each participant last read the conversation
+  readState: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    lastReadAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+ConversationSchema.index({ participants: 1, lastMessageAt: -1 });
+
+// Check if a user takes part in the conversation
+ConversationSchema.methods.hasParticipant = function(userId) {
+  return this.participants.some(id => (id._id || id).toString() === userId.toString());
+};
+
+// Get when a user last read the conversation
+ConversationSchema.methods.lastReadAt = function(userId) {
+  const entry = this.readState.find(state => state.user.toString() === userId.toString());
+  return entry ? entry.lastReadAt : new Date(0);
+};
+
+module.exports = mongoose.model('Conversation', ConversationSchema);
@@ -0,0 +1,55 @@
+
+const mongoose = require('mongoose');
+
+// Archive of a user's personal data, built in the background
+const DataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+  // UTC day the export was requested on (YYYY-MM-DD), which allows one
+  // export per user. Unset when the export fails, so it doesn't count.
+  day: {
+    type: String
+  },
+  // Name of the archive inside the export directory
+  fileName: {
+    type: String
+  },
+  size: {
+    type: Number
+  },
+  error: {
+    type: String
+  },
+  // Refreshed while running; a stale heartbeat means the process died
+  heartbeatAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  // The archive is removed at this time, together with this record
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+DataExportSchema.index({ user: 1, createdAt: -1 });
+// Enforces the daily limit, also for concurrent requests
+DataExportSchema.index(
+  { user: 1, day: 1 },
+  { unique: true, partialFilterExpression: { day: { $exists: true } } }
+);
+DataExportSchema.index({ status: 1, createdAt: 1 });
+DataExportSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('DataExport', DataExportSchema);
@@ -0,0 +1,57 @@
+
+const mongoose = require('mongoose');
+
+// Unpublished tweet, optionally scheduled to be published at a set time
+const DraftSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    trim: true,
+    maxlength: 280,
+    default: ''
+  },
+  // Uploaded when the draft is saved, so publishing needs no upload
+  image: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'publishing', 'published', 'failed'],
+    default: 'draft'
+  },
+  scheduledAt: {
+    type: Date,
+    default: null
+  },
+  // ID the published tweet gets. Creating the tweet twice fails on it, so
+  // a draft can't be published twice.
+  tweet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet',
+    default: () => new mongoose.Types.ObjectId()
+  },
+  // Set when a scheduler claims the draft; a stale claim means the
+  // process died while publishing
+  claimedAt: {
+    type: Date
+  },
+  publishedAt: {
+    type: Date
+  },
+  // Why the last publish failed
+  error: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+DraftSchema.index({ user: 1, updatedAt: -1 });
+DraftSchema.index({ status: 1, scheduledAt: 1 });
+
+module.exports = mongoose.model('Draft', DraftSchema);
@@ -0,0 +1,61 @@
+
+const mongoose = require('mongoose');
+
+// Uploaded image, GIF or video. Media is uploaded first and attached to a
+// tweet when the tweet is posted; unattached media is cleaned up later.
+const MediaSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['image', 'gif', 'video'],
+    required: true
+  },
+  // Detected from the file content
+  mimeType: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  publicId: {
+    type: String,
+    required: true
+  },
+  width: {
+    type: Number
+  },
+  height: {
+    type: Number
+  },
+  // Length of videos in seconds
+  duration: {
+    type: Number
+  },
+  size: {
+    type: Number
+  },
+  altText: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: ''
+  },
+  tweet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+MediaSchema.index({ user: 1, tweet: 1 });
+MediaSchema.index({ tweet: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Media', MediaSchema);
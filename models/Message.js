@@ -0,0 +1,30 @@
+
+const mongoose = require('mongoose');
+
+const MessageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    trim: true,
+    maxlength: 10000,
+    default: ''
+  },
+  image: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+MessageSchema.index({ conversation: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Message', MessageSchema);
@@ -0,0 +1,45 @@
+
+const mongoose = require('mongoose');
+
+const NotificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['like', 'retweet', 'reply', 'quote', 'follow', 'follow_request', 'mention'],
+    required: true
+  },
+  // Users who triggered the notification. Repeated events of the same type
+  // on the same tweet are grouped into one notification.
+  actors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  tweet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet',
+    default: null
+  },
+  read: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+NotificationSchema.index({ recipient: 1, createdAt: -1 });
+NotificationSchema.index({ recipient: 1, read: 1 });
+NotificationSchema.index({ recipient: 1, type: 1, tweet: 1, read: 1 });
+
+// Virtual for number of grouped actors
+NotificationSchema.virtual('actorCount').get(function() {
+  return this.actors ? this.actors.length : 0;
+});
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,85 @@
+
+const mongoose = require('mongoose');
+
+// Model of each kind of reportable content
+const TARGET_MODELS = {
+  tweet: 'Tweet',
+  user: 'User',
+  message: 'Message'
+};
+
+const ReportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: Object.keys(TARGET_MODELS),
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: function() {
+      return TARGET_MODELS[this.targetType];
+    }
+  },
+  reason: {
+    type: String,
+    enum: [
+      'spam',
+      'harassment',
+      'hate',
+      'violence',
+      'self_harm',
+      'sexual_content',
+      'impersonation',
+      'misinformation',
+      'other'
+    ],
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+  // Moderation action taken on the target, if any
+  action: {
+    type: String,
+    default: null
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: {
+    type: Date
+  },
+  resolutionNote: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+ReportSchema.index({ status: 1, createdAt: -1 });
+ReportSchema.index({ target: 1, status: 1 });
+
+// A user can have one open report per target
+ReportSchema.index(
+  { reporter: 1, target: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+module.exports = mongoose.model('Report', ReportSchema);
@@ -0,0 +1,56 @@
+
+const mongoose = require('mongoose');
+
+// A signed-in device. Each session is one refresh token family: the token
+// is rotated on every refresh and earlier tokens are kept to detect reuse.
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    index: true
+  },
+  rotatedHashes: [{
+    type: String,
+    index: true
+  }],
+  device: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+SessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Remove sessions once their refresh token can no longer be used
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+SessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
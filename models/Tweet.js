@@ -1,6 +1,27 @@
 
 const mongoose = require('mongoose');
 
+// Options keep the IDs of their voters, which are never sent to clients
+const PollSchema = new mongoose.Schema({
+  options: [{
+    _id: false,
+    text: {
+      type: String,
+      trim: true,
+      maxlength: 25
+    },
+    voters: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  }],
+  endsAt: {
+    type: Date
+  }
+}, {
+  _id: false
+});
+
 const TweetSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -9,13 +30,56 @@ const TweetSchema = new mongoose.Schema({
   },
   content: {
     type: String,
-    required: true,
+    // Retweets carry no text of their own; tweets with only media are allowed
+    required: function() {
+      return !this.retweetData && !this.image && !(this.media && this.media.length > 0);
+    },
     trim: true,
     maxlength: 280
   },
   image: {
     type: String
   },
+  // Attached uploads: up to four images, or one GIF or video
+  media: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media'
+  }],
+  // Hashtags, mentions and URLs found in content, with string offsets
+  entities: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: ['hashtag', 'mention', 'url'],
+      required: true
+    },
+    start: Number,
+    end: Number,
+    tag: String,
+    username: String,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    url: String
+  }],
+  // Lowercase hashtags, indexed for hashtag lookups
+  hashtags: [{
+    type: String,
+    index: true
+  }],
+  // Hashtags and keywords counted towards trends, filled in by the trends
+  // job. Unset until then and after an edit.
+  trendTerms: {
+    type: [String],
+    default: undefined,
+    select: false
+  },
+  // Author's sign-up time, stored with trendTerms to weigh the tweet
+  authorCreatedAt: {
+    type: Date,
+    select: false
+  },
   likes: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -28,13 +92,78 @@ const TweetSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Tweet'
   },
+  quoteOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet'
+  },
+  // Kept so a quote can show a tombstone once the quoted tweet is deleted
+  isQuote: {
+    type: Boolean,
+    default: false
+  },
+  quoteCount: {
+    type: Number,
+    default: 0
+  },
   replyTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Tweet'
   },
+  // First tweet of an author-created thread, set on every tweet in it
+  thread: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet'
+  },
   pinned: {
     type: Boolean,
     default: false
+  },
+  // Warning shown with the tweet, added by moderators
+  warningLabel: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  // Set while the author's account isn't active, so that their tweets are
+  // hidden everywhere
+  authorInactive: {
+    type: Boolean,
+    default: false
+  },
+  // Copied from the author so queries can hide protected tweets from
+  // viewers who don't follow them
+  isProtected: {
+    type: Boolean,
+    default: false
+  },
+  poll: {
+    type: PollSchema,
+    default: undefined
+  },
+  // Deleted tweets stay as tombstones so replies keep their place in the
+  // conversation. Their content is purged after a retention period.
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  purgedAt: {
+    type: Date
+  },
+  // Set when the author last edited the content
+  editedAt: {
+    type: Date
+  },
+  // Earlier versions of the content, oldest first. Each one was shown from
+  // its createdAt until the next edit.
+  revisions: {
+    type: [{
+      _id: false,
+      content: String,
+      entities: [mongoose.Schema.Types.Mixed],
+      hashtags: [String],
+      createdAt: Date
+    }],
+    select: false
   }
 }, {
   timestamps: true,
@@ -42,6 +171,16 @@ const TweetSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+TweetSchema.virtual('isEdited').get(function() {
+  return Boolean(this.editedAt);
+});
+
+TweetSchema.index({ deletedAt: 1, purgedAt: 1 });
+// For the trends job, which reads the latest days of tweets and samples
+// the latest ones of each trend
+TweetSchema.index({ createdAt: -1 });
+TweetSchema.index({ trendTerms: 1, createdAt: -1 });
+
 // Virtual for comments count
 TweetSchema.virtual('commentCount', {
   ref: 'Tweet',
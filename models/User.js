@@ -1,6 +1,9 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+const RECOVERY_CODE_COUNT = 10;
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -59,7 +62,112 @@ const UserSchema = new mongoose.Schema({
   isVerified: {
     type: Boolean,
     default: false
-  }
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  // Account lifecycle. Only active accounts can sign in and have their
+  // tweets shown. Suspensions end at suspendedUntil; deactivated accounts
+  // are deleted once their reactivation window has passed, and deleting
+  // ones are being removed by the account deletion job.
+  status: {
+    type: String,
+    enum: ['active', 'deactivated', 'suspended', 'banned', 'deleting'],
+    default: 'active',
+    index: true
+  },
+  suspendedUntil: {
+    type: Date,
+    default: null
+  },
+  deactivatedAt: {
+    type: Date,
+    default: null
+  },
+  // Protected accounts approve followers, and only followers see their
+  // tweets, followers and following
+  isProtected: {
+    type: Boolean,
+    default: false
+  },
+  // Pending follow requests to a protected account
+  followRequests: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Set to false on registration until the email address is confirmed.
+  // Unset for accounts created before email verification existed.
+  emailVerified: {
+    type: Boolean
+  },
+  // TOTP two-factor authentication. Secrets and recovery code hashes are
+  // never selected unless asked for explicitly.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation with a first code
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Last accepted time step, so a code can't be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    }
+  },
+  // Who may start a direct message conversation with this user
+  messagePrivacy: {
+    type: String,
+    enum: ['everyone', 'following', 'nobody'],
+    default: 'everyone'
+  },
+  // Blocking hides both accounts from each other and stops interaction.
+  // Indexed to find who blocked a user.
+  blocked: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  }],
+  // Muted accounts are hidden from this user only. No expiry means forever.
+  muted: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  // Muted words, phrases and #hashtags, stored lowercase
+  mutedWords: [{
+    word: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      maxlength: 100
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    }
+  }]
 }, {
   timestamps: true
 });
@@ -84,6 +192,103 @@ UserSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Generate new one-time recovery codes. Stores bcrypt hashes and returns
+// the plain codes, which are shown to the user once.
+UserSchema.methods.generateRecoveryCodes = async function() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  
+  const salt = await bcrypt.genSalt(10);
+  this.twoFactor.recoveryCodes = await Promise.all(codes.map(code => bcrypt.hash(code, salt)));
+  
+  return codes;
+};
+
+// Use up a recovery code. Needs twoFactor.recoveryCodes selected. The code
+// is removed only if it is still stored, so concurrent requests can't both
+// use it.
+UserSchema.methods.useRecoveryCode = async function(candidateCode) {
+  const code = String(candidateCode || '').trim().toLowerCase();
+  const hashes = this.twoFactor.recoveryCodes || [];
+  
+  for (const hash of hashes) {
+    if (await bcrypt.compare(code, hash)) {
+      const { modifiedCount } = await this.constructor.updateOne(
+        { _id: this._id, 'twoFactor.recoveryCodes': hash },
+        { $pull: { 'twoFactor.recoveryCodes': hash } }
+      );
+      
+      if (modifiedCount === 0) {
+        return false;
+      }
+      
+      this.twoFactor.recoveryCodes = hashes.filter(other => other !== hash);
+      return true;
+    }
+  }
+  
+  return false;
+};
+
+// Check if another user may send this user direct messages
+UserSchema.methods.allowsMessagesFrom = function(userId) {
+  if (this.messagePrivacy === 'everyone') {
+    return true;
+  }
+  
+  if (this.messagePrivacy === 'following') {
+    return this.following.some(id => id.toString() === userId.toString());
+  }
+  
+  return false;
+};
+
+// Check if this user has blocked another user
+UserSchema.methods.hasBlocked = function(userId) {
+  return this.blocked.some(id => id.toString() === userId.toString());
+};
+
+// Suspensions from before account statuses existed only set suspendedUntil
+// and are migrated by the accounts job
+UserSchema.methods.isSuspended = function(now = new Date()) {
+  if (this.status === 'suspended' && !this.suspendedUntil) {
+    return true;
+  }
+  
+  return ['active', 'suspended'].includes(this.status) &&
+    Boolean(this.suspendedUntil) && this.suspendedUntil > now;
+};
+
+// A suspension that is over still counts as inactive until the account is
+// restored, on sign-in or by the accounts job, which also shows its tweets
+// again
+UserSchema.methods.isActive = function(now = new Date()) {
+  return this.status === 'active' && !this.isSuspended(now);
+};
+
+// Check if a viewer may see this user's tweets, followers and following
+UserSchema.methods.isVisibleTo = function(viewer) {
+  if (!this.isProtected) {
+    return true;
+  }
+  
+  return Boolean(viewer) && (
+    viewer._id.toString() === this._id.toString() ||
+    viewer.following.some(id => id.toString() === this._id.toString())
+  );
+};
+
+// Mutes that haven't expired
+UserSchema.methods.activeMutes = function(now = new Date()) {
+  return this.muted.filter(mute => !mute.expiresAt || mute.expiresAt > now);
+};
+
+UserSchema.methods.activeMutedWords = function(now = new Date()) {
+  return this.mutedWords.filter(mute => !mute.expiresAt || mute.expiresAt > now);
+};
+
 // Add a virtual field for tweet count (will be populated when needed)
 UserSchema.virtual('tweetCount', {
   ref: 'Tweet',
@@ -0,0 +1,34 @@
+
+const mongoose = require('mongoose');
+
+// Single-use token sent by email. Only a hash of the token is stored.
+const VerificationTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['email_verification', 'password_reset'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+VerificationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('VerificationToken', VerificationTokenSchema);
@@ -0,0 +1,630 @@
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+const Report = require('../models/Report');
+const AuditLog = require('../models/AuditLog');
+const Tweet = require('../models/Tweet');
+const User = require('../models/User');
+const AccountDeletion = require('../models/AccountDeletion');
+const { deleteTweet, serializeTweet } = require('../utils/tweets');
+const { setAccountStatus, DELETION_STEPS } = require('../utils/accounts');
+const { MAX_ATTEMPTS, retryDeletion } = require('../jobs/accountDeletion');
+const { recordAction, resolveReportsFor } = require('../utils/moderation');
+const pagination = require('../middleware/pagination');
+const { withCursor, cursorSort, buildPage } = require('../utils/pagination');
+
+const admin = [auth, requireRole('admin')];
+
+const USER_FIELDS = '_id name username profilePicture';
+
+// Optional note explaining a moderation action
+const validateNote = body('note', 'Note must be at most 500 characters')
+  .optional()
+  .isString()
+  .isLength({ max: 500 });
+
+// Reported users are shown without their credentials and private settings,
+// and reported tweets without who voted in their poll
+const targetPopulate = {
+  path: 'target',
+  select: '-password -blocked -muted -mutedWords -followRequests -poll.options.voters'
+};
+
+// @route   GET api/admin/reports
+// @desc    Get the review queue, filtered by ?status (default open) and
+//          ?targetType
+// @access  Admin
+router.get('/reports', [
+  ...admin,
+  query('status').optional().isIn(Report.schema.path('status').enumValues),
+  query('targetType').optional().isIn(Report.schema.path('targetType').enumValues),
+  pagination()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { page } = req;
+    const filter = { status: req.query.status || 'open' };
+
+    if (req.query.targetType) {
+      filter.targetType = req.query.targetType;
+    }
+
+    const reports = await Report.find(withCursor(filter, page))
+      .populate('reporter', USER_FIELDS)
+      .populate(targetPopulate)
+      .sort(cursorSort(page))
+      .limit(page.limit + 1);
+
+    res.json(buildPage(reports, page));
+  } catch (error) {
+    console.error('Get reports error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/admin/reports/:id
+// @desc    Get a report with its target and the target's other open reports
+// @access  Admin
+router.get('/reports/:id', admin, async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id)
+      .populate('reporter', USER_FIELDS)
+      .populate('resolvedBy', USER_FIELDS)
+      .populate(targetPopulate);
+
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+
+    const openReports = await Report.countDocuments({
+      target: report.target ? report.target._id : null,
+      status: 'open'
+    });
+
+    res.json({
+      ...report.toObject(),
+      openReportsOnTarget: openReports
+    });
+  } catch (error) {
+    console.error('Get report error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/admin/reports/:id/resolve
+// @desc    Close a report as resolved or dismissed without acting on it
+// @access  Admin
+router.post('/reports/:id/resolve', [
+  ...admin,
+  body('status', 'Status must be resolved or dismissed').isIn(['resolved', 'dismissed']),
+  validateNote
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const report = await Report.findOneAndUpdate(
+      { _id: req.params.id, status: 'open' },
+      {
+        $set: {
+          status: req.body.status,
+          resolvedBy: req.user.id,
+          resolvedAt: new Date(),
+          resolutionNote: req.body.note
+        }
+      },
+      { new: true }
+    );
+
+    if (!report) {
+      return res.status(404).json({ message: 'Open report not found' });
+    }
+
+    await recordAction({
+      actor: req.user.id,
+      action: req.body.status === 'resolved' ? 'resolve_report' : 'dismiss_report',
+      targetType: 'report',
+      target: report._id,
+      report: report._id,
+      details: { note: req.body.note }
+    });
+
+    res.json(report);
+  } catch (error) {
+    console.error('Resolve report error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/admin/tweets/:id
+// @desc    Delete a tweet and resolve its open reports
+// @access  Admin
+router.delete('/tweets/:id', [...admin, validateNote], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const tweet = await Tweet.findById(req.params.id);
+
+    if (!tweet || tweet.deletedAt) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+
+    await deleteTweet(tweet);
+
+    const reportsResolved = await resolveReportsFor(tweet._id, {
+      moderator: req.user.id,
+      action: 'delete_tweet',
+      note: req.body.note
+    });
+
+    // Keep what was removed, since the content is purged later
+    await recordAction({
+      actor: req.user.id,
+      action: 'delete_tweet',
+      targetType: 'tweet',
+      target: tweet._id,
+      details: {
+        note: req.body.note,
+        author: tweet.user,
+        content: tweet.content,
+        image: tweet.image,
+        reportsResolved
+      }
+    });
+
+    res.json({ message: 'Tweet deleted', reportsResolved });
+  } catch (error) {
+    console.error('Moderator delete tweet error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT api/admin/tweets/:id/label
+// @desc    Add or replace a tweet's warning label
+// @access  Admin
+router.put('/tweets/:id/label', [
+  ...admin,
+  body('label', 'Label is required and must be at most 200 characters')
+    .trim()
+    .isLength({ min: 1, max: 200 }),
+  validateNote
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const tweet = await Tweet.findByIdAndUpdate(
+      req.params.id,
+      { $set: { warningLabel: req.body.label } },
+      { new: true }
+    );
+
+    if (!tweet) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+
+    const reportsResolved = await resolveReportsFor(tweet._id, {
+      moderator: req.user.id,
+      action: 'add_warning_label',
+      note: req.body.note
+    });
+
+    await recordAction({
+      actor: req.user.id,
+      action: 'add_warning_label',
+      targetType: 'tweet',
+      target: tweet._id,
+      details: { note: req.body.note, label: req.body.label, reportsResolved }
+    });
+
+    res.json(serializeTweet(tweet, req.user.id));
+  } catch (error) {
+    console.error('Add warning label error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/admin/tweets/:id/label
+// @desc    Remove a tweet's warning label
+// @access  Admin
+router.delete('/tweets/:id/label', [...admin, validateNote], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const tweet = await Tweet.findByIdAndUpdate(
+      req.params.id,
+      { $unset: { warningLabel: 1 } }
+    );
+
+    if (!tweet) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+
+    await recordAction({
+      actor: req.user.id,
+      action: 'remove_warning_label',
+      targetType: 'tweet',
+      target: tweet._id,
+      details: { note: req.body.note, label: tweet.warningLabel }
+    });
+
+    res.json({ message: 'Warning label removed' });
+  } catch (error) {
+    console.error('Remove warning label error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Account fields returned after a status change
+const statusResponse = (user) => ({
+  _id: user._id,
+  username: user.username,
+  status: user.status,
+  suspendedUntil: user.suspendedUntil
+});
+
+// @route   POST api/admin/users/:id/suspend
+// @desc    Suspend a user until a date. Hides their tweets and signs them
+//          out everywhere.
+// @access  Admin
+router.post('/users/:id/suspend', [
+  ...admin,
+  body('until', 'Suspension end must be a future date')
+    .isISO8601()
+    .toDate()
+    .custom(until => until > new Date()),
+  validateNote
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot suspend yourself' });
+    }
+
+    const target = await User.findById(req.params.id).select('status');
+
+    if (!target) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (target.status === 'banned') {
+      return res.status(400).json({ message: 'User is banned' });
+    }
+
+    const user = await setAccountStatus(target._id, 'suspended', {
+      suspendedUntil: req.body.until
+    });
+
+    const reportsResolved = await resolveReportsFor(user._id, {
+      moderator: req.user.id,
+      action: 'suspend_user',
+      note: req.body.note
+    });
+
+    await recordAction({
+      actor: req.user.id,
+      action: 'suspend_user',
+      targetType: 'user',
+      target: user._id,
+      details: { note: req.body.note, until: req.body.until, reportsResolved }
+    });
+
+    res.json(statusResponse(user));
+  } catch (error) {
+    console.error('Suspend user error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/admin/users/:id/unsuspend
+// @desc    Lift a user's suspension
+// @access  Admin
+router.post('/users/:id/unsuspend', [...admin, validateNote], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const target = await User.findOne({ _id: req.params.id, status: 'suspended' }).select('_id');
+
+    if (!target) {
+      return res.status(404).json({ message: 'Suspended user not found' });
+    }
+
+    const user = await setAccountStatus(target._id, 'active', { suspendedUntil: null });
+
+    await recordAction({
+      actor: req.user.id,
+      action: 'unsuspend_user',
+      targetType: 'user',
+      target: user._id,
+      details: { note: req.body.note }
+    });
+
+    res.json(statusResponse(user));
+  } catch (error) {
+    console.error('Unsuspend user error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/admin/users/:id/ban
+// @desc    Ban a user permanently. Hides their tweets and signs them out
+//          everywhere.
+// @access  Admin
+router.post('/users/:id/ban', [...admin, validateNote], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot ban yourself' });
+    }
+
+    const user = await setAccountStatus(req.params.id, 'banned', { suspendedUntil: null });
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const reportsResolved = await resolveReportsFor(user._id, {
+      moderator: req.user.id,
+      action: 'ban_user',
+      note: req.body.note
+    });
+
+    await recordAction({
+      actor: req.user.id,
+      action: 'ban_user',
+      targetType: 'user',
+      target: user._id,
+      details: { note: req.body.note, reportsResolved }
+    });
+
+    res.json(statusResponse(user));
+  } catch (error) {
+    console.error('Ban user error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/admin/users/:id/unban
+// @desc    Lift a user's ban
+// @access  Admin
+router.post('/users/:id/unban', [...admin, validateNote], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const target = await User.findOne({ _id: req.params.id, status: 'banned' }).select('_id');
+
+    if (!target) {
+      return res.status(404).json({ message: 'Banned user not found' });
+    }
+
+    const user = await setAccountStatus(target._id, 'active');
+
+    await recordAction({
+      actor: req.user.id,
+      action: 'unban_user',
+      targetType: 'user',
+      target: user._id,
+      details: { note: req.body.note }
+    });
+
+    res.json(statusResponse(user));
+  } catch (error) {
+    console.error('Unban user error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT api/admin/users/:id/role
+// @desc    Change a user's role
+// @access  Admin
+router.put('/users/:id/role', [
+  ...admin,
+  body('role', 'Please choose a valid role').isIn(User.schema.path('role').enumValues),
+  validateNote
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+
+    const previous = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: { role: req.body.role } }
+    ).select('_id role');
+
+    if (!previous) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await recordAction({
+      actor: req.user.id,
+      action: 'change_role',
+      targetType: 'user',
+      target: previous._id,
+      details: { note: req.body.note, from: previous.role, to: req.body.role }
+    });
+
+    res.json({ message: 'Role updated', role: req.body.role });
+  } catch (error) {
+    console.error('Change role error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Progress of an account deletion. Holds no personal data, since the
+// account may already be gone.
+const serializeDeletion = (deletion) => ({
+  _id: deletion._id,
+  user: deletion.user,
+  status: deletion.status,
+  steps: DELETION_STEPS.map(step => ({
+    name: step.name,
+    done: deletion.completedSteps.includes(step.name),
+    processed: deletion.progress.get(step.name) || 0
+  })),
+  currentStep: deletion.currentStep,
+  attempts: deletion.attempts,
+  // Out of attempts; won't run again unless retried
+  stuck: deletion.status === 'failed' && deletion.attempts >= MAX_ATTEMPTS,
+  lastError: deletion.lastError,
+  nextAttemptAt: deletion.nextAttemptAt,
+  createdAt: deletion.createdAt,
+  completedAt: deletion.completedAt
+});
+
+// @route   GET api/admin/deletions
+// @desc    Get account deletions, filtered by ?status (default failed).
+//          Stuck ones have used up their attempts and need a retry.
+// @access  Admin
+router.get('/deletions', [
+  ...admin,
+  query('status').optional().isIn(AccountDeletion.schema.path('status').enumValues),
+  pagination()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { page } = req;
+    const filter = { status: req.query.status || 'failed' };
+
+    const deletions = await AccountDeletion.find(withCursor(filter, page))
+      .sort(cursorSort(page))
+      .limit(page.limit + 1);
+
+    res.json(buildPage(deletions, page, 'createdAt', serializeDeletion));
+  } catch (error) {
+    console.error('Get account deletions error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/admin/deletions/:id
+// @desc    Get the progress of an account deletion
+// @access  Admin
+router.get('/deletions/:id', admin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Deletion not found' });
+    }
+
+    const deletion = await AccountDeletion.findById(req.params.id);
+
+    if (!deletion) {
+      return res.status(404).json({ message: 'Deletion not found' });
+    }
+
+    res.json(serializeDeletion(deletion));
+  } catch (error) {
+    console.error('Get account deletion error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/admin/deletions/:id/retry
+// @desc    Run a failed account deletion again with a fresh set of attempts
+// @access  Admin
+router.post('/deletions/:id/retry', admin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Deletion not found' });
+    }
+
+    const deletion = await retryDeletion(req.params.id);
+
+    if (!deletion) {
+      return res.status(404).json({ message: 'No failed deletion found' });
+    }
+
+    res.json(serializeDeletion(deletion));
+  } catch (error) {
+    console.error('Retry account deletion error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/admin/audit-log
+// @desc    Get moderation actions, filtered by ?target or ?actor
+// @access  Admin
+router.get('/audit-log', [
+  ...admin,
+  query('target').optional().isMongoId(),
+  query('actor').optional().isMongoId(),
+  pagination()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { page } = req;
+    const filter = {};
+
+    if (req.query.target) filter.target = req.query.target;
+    if (req.query.actor) filter.actor = req.query.actor;
+
+    const entries = await AuditLog.find(withCursor(filter, page))
+      .populate('actor', USER_FIELDS)
+      .sort(cursorSort(page))
+      .limit(page.limit + 1);
+
+    res.json(buildPage(entries, page));
+  } catch (error) {
+    console.error('Get audit log error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
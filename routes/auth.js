@@ -2,13 +2,54 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
+const auth = require('../middleware/auth');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const {
+  TokenError,
+  createSession,
+  rotateRefreshToken,
+  signMfaToken,
+  verifyMfaToken,
+  revokeSessions
+} = require('../utils/tokens');
+const { generateSecret, verifyCode, otpauthUri } = require('../utils/totp');
+const { getLockout, recordFailure, resetFailures } = require('../utils/loginLockout');
+const rateLimit = require('../middleware/rateLimit');
+const {
+  consumeToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+} = require('../utils/verification');
+const { signInError, restoreAccount } = require('../utils/accounts');
+
+// Respond 429 while an account is locked after failed logins
+const sendLocked = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    message: 'Too many failed attempts, account temporarily locked',
+    retryAfter
+  });
+};
+
+// User data returned with tokens
+const userResponse = (user) => ({
+  _id: user._id,
+  name: user.name,
+  username: user.username,
+  email: user.email,
+  profilePicture: user.profilePicture,
+  followers: user.followers,
+  following: user.following,
+  isVerified: user.isVerified,
+  emailVerified: user.emailVerified !== false
+});
 
 // @route   POST api/auth/register
 // @desc    Register a user
 // @access  Public
 router.post('/register', [
+  rateLimit('auth'),
   // Validation
   body('name', 'Name is required').not().isEmpty(),
   body('username', 'Username is required').not().isEmpty(),
@@ -39,39 +80,26 @@ router.post('/register', [
       name,
       username,
       email,
-      password
+      password,
+      emailVerified: false
     });
     
     await user.save();
     
-    // Create token
-    const payload = {
-      id: user.id
-    };
-    
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' },
-      (err, token) => {
-        if (err) throw err;
-        
-        // Return token and user data
-        res.json({
-          token,
-          user: {
-            _id: user._id,
-            name: user.name,
-            username: user.username,
-            email: user.email,
-            profilePicture: user.profilePicture,
-            followers: user.followers,
-            following: user.following,
-            isVerified: user.isVerified
-          }
-        });
-      }
-    );
+    // A mail failure shouldn't fail registration; the user can ask again
+    try {
+      await sendVerificationEmail(user);
+    } catch (err) {
+      console.error('Send verification email error:', err.message);
+    }
+    
+    // Start a session and return tokens with user data
+    const tokens = await createSession(user, req);
+    
+    res.json({
+      ...tokens,
+      user: userResponse(user)
+    });
   } catch (error) {
     console.error('Register error:', error.message);
     res.status(500).json({ message: 'Server error' });
@@ -82,6 +110,7 @@ router.post('/register', [
 // @desc    Authenticate user & get token
 // @access  Public
 router.post('/login', [
+  rateLimit('auth'),
   // Validation
   body('email', 'Please include a valid email').isEmail(),
   body('password', 'Password is required').exists()
@@ -95,10 +124,17 @@ router.post('/login', [
   const { email, password } = req.body;
   
   try {
+    const lockedFor = await getLockout(email, req.ip);
+    
+    if (lockedFor > 0) {
+      return sendLocked(res, lockedFor);
+    }
+    
     // Check if user exists
     const user = await User.findOne({ email });
     
     if (!user) {
+      await recordFailure(email, req.ip);
       return res.status(400).json({ message: 'Invalid credentials' });
     }
     
@@ -106,39 +142,500 @@ router.post('/login', [
     const isMatch = await user.comparePassword(password);
     
     if (!isMatch) {
+      await recordFailure(email, req.ip);
       return res.status(400).json({ message: 'Invalid credentials' });
     }
     
-    // Create token
-    const payload = {
-      id: user.id
-    };
-    
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' },
-      (err, token) => {
-        if (err) throw err;
-        
-        // Return token and user data
-        res.json({
-          token,
-          user: {
-            _id: user._id,
-            name: user.name,
-            username: user.username,
-            email: user.email,
-            profilePicture: user.profilePicture,
-            followers: user.followers,
-            following: user.following,
-            isVerified: user.isVerified
-          }
-        });
+    // Banned, suspended and deleted accounts can't sign in
+    const statusError = signInError(user);
+    
+    if (statusError) {
+      return res.status(403).json(statusError);
+    }
+    
+    // With two-factor enabled, the code is checked at api/auth/2fa/verify
+    // and failures are only cleared once it passes
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        mfaRequired: true,
+        mfaToken: signMfaToken(user)
+      });
+    }
+    
+    await resetFailures(email, req.ip);
+    
+    // Signing in reactivates a deactivated account
+    const restoredFrom = await restoreAccount(user);
+    
+    // Start a session and return tokens with user data
+    const tokens = await createSession(user, req);
+    
+    res.json({
+      ...tokens,
+      user: userResponse(user),
+      ...(restoredFrom === 'deactivated' && { reactivated: true })
+    });
+  } catch (error) {
+    console.error('Login error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/auth/refresh
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @access  Public
+router.post('/refresh', [
+  rateLimit('refresh'),
+  body('refreshToken', 'Refresh token is required').not().isEmpty()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const { user, tokens } = await rotateRefreshToken(req.body.refreshToken, req);
+    
+    res.json({
+      ...tokens,
+      user: userResponse(user)
+    });
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return res.status(401).json({ message: error.message });
+    }
+    
+    console.error('Refresh token error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await revokeSessions({ _id: req.authSession._id }, 'logout');
+    
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/auth/sessions
+// @desc    Get active sessions of current user
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+    .select('device ip lastSeenAt createdAt')
+    .sort({ lastSeenAt: -1 });
+    
+    res.json(sessions.map(session => ({
+      ...session.toObject(),
+      current: session._id.equals(req.authSession._id)
+    })));
+  } catch (error) {
+    console.error('Get sessions error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/auth/sessions
+// @desc    Revoke all sessions of current user except this one
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    await revokeSessions(
+      { user: req.user.id, _id: { $ne: req.authSession._id } },
+      'revoked_by_user'
+    );
+    
+    res.json({ message: 'Other sessions revoked' });
+  } catch (error) {
+    console.error('Revoke sessions error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/auth/sessions/:id
+// @desc    Revoke a session of current user
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const result = await revokeSessions(
+      { _id: req.params.id, user: req.user.id },
+      'revoked_by_user'
+    );
+    
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/auth/2fa/verify
+// @desc    Complete a two-factor login with a TOTP or recovery code
+// @access  Public
+router.post('/2fa/verify', [
+  rateLimit('auth'),
+  body('mfaToken', 'MFA token is required').not().isEmpty(),
+  body().custom(value => value.code || value.recoveryCode)
+    .withMessage('A code or recovery code is required')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  const { mfaToken, code, recoveryCode } = req.body;
+  
+  try {
+    const userId = verifyMfaToken(mfaToken);
+    
+    const user = await User.findById(userId)
+      .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+    
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({ message: 'Invalid or expired MFA token' });
+    }
+    
+    const lockedFor = await getLockout(user.email, req.ip);
+    
+    if (lockedFor > 0) {
+      return sendLocked(res, lockedFor);
+    }
+    
+    if (code) {
+      const step = verifyCode(user.twoFactor.secret, code, user.twoFactor.lastUsedStep);
+      
+      // Only record the step if no other request has used it or a later
+      // one in the meantime, so a code can't be replayed concurrently
+      const accepted = step !== null && (await User.updateOne(
+        {
+          _id: user._id,
+          $or: [
+            { 'twoFactor.lastUsedStep': { $lt: step } },
+            { 'twoFactor.lastUsedStep': null }
+          ]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      )).modifiedCount > 0;
+      
+      if (!accepted) {
+        await recordFailure(user.email, req.ip);
+        return res.status(400).json({ message: 'Invalid code' });
       }
+    } else if (!(await user.useRecoveryCode(recoveryCode))) {
+      await recordFailure(user.email, req.ip);
+      return res.status(400).json({ message: 'Invalid recovery code' });
+    }
+    
+    await resetFailures(user.email, req.ip);
+    
+    const statusError = signInError(user);
+    
+    if (statusError) {
+      return res.status(403).json(statusError);
+    }
+    
+    const restoredFrom = await restoreAccount(user);
+    
+    // Start a session and return tokens with user data
+    const tokens = await createSession(user, req);
+    
+    res.json({
+      ...tokens,
+      user: userResponse(user),
+      ...(restoredFrom === 'deactivated' && { reactivated: true }),
+      ...(recoveryCode && { recoveryCodesLeft: user.twoFactor.recoveryCodes.length })
+    });
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return res.status(401).json({ message: error.message });
+    }
+    
+    console.error('Verify 2FA error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/auth/2fa/setup
+// @desc    Start two-factor enrollment and get an otpauth URI
+// @access  Private
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    if (req.user.twoFactor && req.user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    
+    const secret = generateSecret();
+    
+    await User.updateOne(
+      { _id: req.user.id },
+      { $set: { 'twoFactor.pendingSecret': secret } }
     );
+    
+    res.json({
+      secret,
+      otpauthUri: otpauthUri({ secret, account: req.user.email, issuer: 'Chirp' })
+    });
   } catch (error) {
-    console.error('Login error:', error.message);
+    console.error('Setup 2FA error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/auth/2fa/enable
+// @desc    Confirm enrollment with a first code and get recovery codes
+// @access  Private
+router.post('/2fa/enable', [
+  auth,
+  body('code', 'Code is required').not().isEmpty()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+    
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+    
+    const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid code' });
+    }
+    
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    const recoveryCodes = await user.generateRecoveryCodes();
+    
+    await user.save();
+    
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Enable 2FA error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/auth/2fa/recovery-codes
+// @desc    Replace recovery codes; requires the password
+// @access  Private
+router.post('/2fa/recovery-codes', [
+  auth,
+  body('password', 'Password is required').not().isEmpty()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const user = await User.findById(req.user.id);
+    
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+    
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    
+    const recoveryCodes = await user.generateRecoveryCodes();
+    await user.save();
+    
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/auth/2fa/disable
+// @desc    Turn off two-factor authentication; requires the password
+// @access  Private
+router.post('/2fa/disable', [
+  auth,
+  body('password', 'Password is required').not().isEmpty()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const user = await User.findById(req.user.id);
+    
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+    
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.secret': '',
+          'twoFactor.pendingSecret': '',
+          'twoFactor.lastUsedStep': '',
+          'twoFactor.recoveryCodes': ''
+        }
+      }
+    );
+    
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Disable 2FA error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/auth/verify-email/request
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/verify-email/request', [auth, rateLimit('auth')], async (req, res) => {
+  try {
+    if (req.user.emailVerified !== false) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+    
+    await sendVerificationEmail(req.user);
+    
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Request email verification error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/auth/verify-email/confirm
+// @desc    Confirm an email address with the emailed token
+// @access  Public
+router.post('/verify-email/confirm', [
+  rateLimit('auth'),
+  body('token', 'Token is required').not().isEmpty()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const token = await consumeToken(req.body.token, 'email_verification');
+    
+    if (!token) {
+      return res.status(400).json({ message: 'Invalid or expired token' });
+    }
+    
+    await User.updateOne({ _id: token.user }, { $set: { emailVerified: true } });
+    
+    res.json({ message: 'Email verified' });
+  } catch (error) {
+    console.error('Confirm email verification error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/auth/password-reset/request
+// @desc    Send a password reset link
+// @access  Public
+router.post('/password-reset/request', [
+  rateLimit('auth'),
+  body('email', 'Please include a valid email').isEmail()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+    
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+    
+    // Same response either way so emails can't be probed
+    res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Request password reset error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/auth/password-reset/confirm
+// @desc    Set a new password with the emailed token
+// @access  Public
+router.post('/password-reset/confirm', [
+  rateLimit('auth'),
+  body('token', 'Token is required').not().isEmpty(),
+  body('password', 'Password must be at least 6 characters').isLength({ min: 6 })
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const token = await consumeToken(req.body.token, 'password_reset');
+    
+    if (!token) {
+      return res.status(400).json({ message: 'Invalid or expired token' });
+    }
+    
+    const user = await User.findById(token.user);
+    
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired token' });
+    }
+    
+    user.password = req.body.password;
+    // The reset link proves the user controls the email address
+    if (user.emailVerified === false) {
+      user.emailVerified = true;
+    }
+    await user.save();
+    
+    // Sign out everywhere, in case the old password was compromised
+    await revokeSessions({ user: user._id }, 'password_reset');
+    
+    res.json({ message: 'Password has been reset' });
+  } catch (error) {
+    console.error('Confirm password reset error:', error.message);
     res.status(500).json({ message: 'Server error' });
   }
 });
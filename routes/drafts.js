@@ -0,0 +1,271 @@
+
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const verifiedEmail = require('../middleware/verifiedEmail');
+const rateLimit = require('../middleware/rateLimit');
+const upload = require('../middleware/upload');
+const mediaType = require('../middleware/mediaType');
+const cloudinary = require('../config/cloudinary');
+const Draft = require('../models/Draft');
+const { claimDraft, publishDraft } = require('../jobs/drafts');
+const { tweetPopulate, serializeTweet } = require('../utils/tweets');
+const { getViewerFilter } = require('../utils/relationships');
+const { destroyImage } = require('../utils/media');
+const pagination = require('../middleware/pagination');
+const { withCursor, cursorSort, buildPage } = require('../utils/pagination');
+
+const MAX_CONTENT_LENGTH = 280;
+
+// Drafts can't be changed while publishing or once published
+const EDITABLE_STATUSES = ['draft', 'scheduled', 'failed'];
+
+// Read content and publish time from a request. Returns an error message
+// for invalid values. An empty scheduledAt unschedules the draft.
+const parseDraft = (body) => {
+  const fields = {};
+
+  if (body.content !== undefined) {
+    fields.content = String(body.content).trim();
+
+    if (fields.content.length > MAX_CONTENT_LENGTH) {
+      return { error: `Content cannot exceed ${MAX_CONTENT_LENGTH} characters` };
+    }
+  }
+
+  if (body.scheduledAt !== undefined) {
+    fields.scheduledAt = body.scheduledAt ? new Date(body.scheduledAt) : null;
+
+    if (fields.scheduledAt && isNaN(fields.scheduledAt)) {
+      return { error: 'scheduledAt must be a date' };
+    }
+
+    if (fields.scheduledAt && fields.scheduledAt <= new Date()) {
+      return { error: 'scheduledAt must be in the future' };
+    }
+
+    fields.status = fields.scheduledAt ? 'scheduled' : 'draft';
+  }
+
+  return { fields };
+};
+
+const uploadImage = async (file) => {
+  const result = await cloudinary.uploader.upload(file.path, {
+    folder: 'chirp/tweets'
+  });
+  return result.secure_url;
+};
+
+// @route   GET api/drafts
+// @desc    Get the current user's drafts, last changed first. Filter with
+//          ?status=draft|scheduled|publishing|published|failed.
+// @access  Private
+router.get('/', [auth, pagination()], async (req, res) => {
+  try {
+    const { page } = req;
+    const filter = { user: req.user.id };
+
+    if (req.query.status) {
+      filter.status = String(req.query.status);
+    }
+
+    const drafts = await Draft.find(withCursor(filter, page, 'updatedAt'))
+      .sort(cursorSort(page, 'updatedAt'))
+      .limit(page.limit + 1);
+
+    res.json(buildPage(drafts, page, 'updatedAt'));
+  } catch (error) {
+    console.error('Get drafts error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/drafts
+// @desc    Save a draft with text and/or an image. Set scheduledAt to have
+//          it published at that time.
+// @access  Private
+router.post('/', [
+  auth,
+  verifiedEmail,
+  upload.single('image'),
+  mediaType('image', 'gif')
+], async (req, res) => {
+  try {
+    const { fields, error } = parseDraft(req.body);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (!fields.content && !req.file) {
+      return res.status(400).json({ message: 'Draft content is required' });
+    }
+
+    const draft = new Draft({ ...fields, user: req.user.id });
+
+    if (req.file) {
+      draft.image = await uploadImage(req.file);
+    }
+
+    await draft.save();
+
+    res.status(201).json(draft);
+  } catch (error) {
+    console.error('Create draft error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/drafts/:id
+// @desc    Get a draft, including why its last publish failed
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const draft = await Draft.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!draft) {
+      return res.status(404).json({ message: 'Draft not found' });
+    }
+
+    res.json(draft);
+  } catch (error) {
+    console.error('Get draft error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT api/drafts/:id
+// @desc    Update a draft's text, image or publish time. Saving a failed
+//          draft with a new publish time schedules it again.
+// @access  Private
+router.put('/:id', [
+  auth,
+  verifiedEmail,
+  upload.single('image'),
+  mediaType('image', 'gif')
+], async (req, res) => {
+  try {
+    const { fields, error } = parseDraft(req.body);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const draft = await Draft.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!draft) {
+      return res.status(404).json({ message: 'Draft not found' });
+    }
+
+    const previousImage = draft.image;
+
+    if (req.file) {
+      fields.image = await uploadImage(req.file);
+    } else if (req.body.removeImage === 'true' || req.body.removeImage === true) {
+      fields.image = '';
+    }
+
+    const content = fields.content !== undefined ? fields.content : draft.content;
+    const image = fields.image !== undefined ? fields.image : draft.image;
+
+    if (!content && !image) {
+      return res.status(400).json({ message: 'Draft content is required' });
+    }
+
+    // Only update a draft the scheduler hasn't claimed in the meantime
+    const updated = await Draft.findOneAndUpdate(
+      { _id: draft._id, status: { $in: EDITABLE_STATUSES } },
+      { $set: { ...fields, error: null } },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      if (fields.image) await destroyImage(fields.image);
+      return res.status(409).json({ message: 'Draft is already being published' });
+    }
+
+    if (fields.image !== undefined && previousImage) {
+      await destroyImage(previousImage);
+    }
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Update draft error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/drafts/:id
+// @desc    Delete a draft. Published tweets are not affected.
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const draft = await Draft.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user.id,
+      status: { $ne: 'publishing' }
+    });
+
+    if (!draft) {
+      const exists = await Draft.exists({ _id: req.params.id, user: req.user.id });
+
+      return exists
+        ? res.status(409).json({ message: 'Draft is already being published' })
+        : res.status(404).json({ message: 'Draft not found' });
+    }
+
+    // A published tweet still uses the image
+    if (draft.status !== 'published') {
+      await destroyImage(draft.image);
+    }
+
+    res.json({ message: 'Draft deleted' });
+  } catch (error) {
+    console.error('Delete draft error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/drafts/:id/publish
+// @desc    Publish a draft now
+// @access  Private
+router.post('/:id/publish', [auth, verifiedEmail, rateLimit('tweet')], async (req, res) => {
+  try {
+    const draft = await claimDraft({
+      _id: req.params.id,
+      user: req.user.id,
+      status: { $in: EDITABLE_STATUSES }
+    });
+
+    if (!draft) {
+      const existing = await Draft.findOne({ _id: req.params.id, user: req.user.id });
+
+      if (!existing) {
+        return res.status(404).json({ message: 'Draft not found' });
+      }
+
+      return res.status(409).json({
+        message: existing.status === 'published'
+          ? 'Draft is already published'
+          : 'Draft is already being published'
+      });
+    }
+
+    const tweet = await publishDraft(draft);
+
+    if (!tweet) {
+      const failed = await Draft.findById(draft._id);
+      return res.status(400).json({ message: failed.error });
+    }
+
+    await tweet.populate(tweetPopulate);
+
+    res.json(serializeTweet(tweet, req.user.id, await getViewerFilter(req.user)));
+  } catch (error) {
+    console.error('Publish draft error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
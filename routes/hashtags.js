@@ -0,0 +1,35 @@
+
+const express = require('express');
+const router = express.Router();
+const optionalAuth = require('../middleware/optionalAuth');
+const Tweet = require('../models/Tweet');
+const { tweetPopulate, serializeTweet } = require('../utils/tweets');
+const { getViewerFilter, excludeHiddenTweets, isVisibleTo } = require('../utils/relationships');
+const pagination = require('../middleware/pagination');
+const { withCursor, cursorSort, buildPage } = require('../utils/pagination');
+
+// @route   GET api/hashtags/:tag
+// @desc    Get tweets with a hashtag
+// @access  Public
+router.get('/:tag', [optionalAuth, pagination()], async (req, res) => {
+  try {
+    const tag = req.params.tag.replace(/^#/, '').toLowerCase();
+    const { page } = req;
+    const filter = await getViewerFilter(req.user);
+    
+    const tweets = await Tweet.find(withCursor(excludeHiddenTweets({ hashtags: tag }, filter), page))
+      .populate(tweetPopulate)
+      .sort(cursorSort(page))
+      .limit(page.limit + 1);
+    
+    // Add isLiked and isRetweeted fields, leaving out hidden retweets
+    res.json(buildPage(tweets, page, 'createdAt', tweet =>
+      isVisibleTo(tweet, filter) ? serializeTweet(tweet, req.user && req.user.id, filter) : null
+    ));
+  } catch (error) {
+    console.error('Get hashtag tweets error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,115 @@
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const verifiedEmail = require('../middleware/verifiedEmail');
+const rateLimit = require('../middleware/rateLimit');
+const upload = require('../middleware/upload');
+const mediaType = require('../middleware/mediaType');
+const Media = require('../models/Media');
+const { uploadMedia, destroyMedia } = require('../utils/media');
+
+const validateAltText = body('altText', 'Alt text must be at most 1000 characters')
+  .optional()
+  .isString()
+  .isLength({ max: 1000 });
+
+// @route   POST api/media
+// @desc    Upload an image, GIF or video as `file`, to attach to a tweet by
+//          its ID. Media that isn't attached within a day is removed.
+// @access  Private
+router.post('/', [
+  auth,
+  verifiedEmail,
+  rateLimit('media'),
+  upload.video.single('file'),
+  mediaType('image', 'gif', 'video'),
+  validateAltText
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Please upload a file' });
+    }
+
+    const result = await uploadMedia(req.file);
+
+    const media = await Media.create({
+      user: req.user.id,
+      type: req.file.mediaType,
+      mimeType: req.file.mimeType,
+      url: result.secure_url,
+      publicId: result.public_id,
+      width: result.width,
+      height: result.height,
+      duration: result.duration,
+      size: result.bytes,
+      altText: req.body.altText
+    });
+
+    res.status(201).json(media);
+  } catch (error) {
+    console.error('Upload media error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT api/media/:id
+// @desc    Set the alt text of uploaded media
+// @access  Private
+router.put('/:id', [auth, validateAltText], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const media = await Media.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { $set: { altText: req.body.altText || '' } },
+      { new: true, runValidators: true }
+    );
+
+    if (!media) {
+      return res.status(404).json({ message: 'Media not found' });
+    }
+
+    res.json(media);
+  } catch (error) {
+    console.error('Update media error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/media/:id
+// @desc    Delete uploaded media that isn't attached to a tweet
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const media = await Media.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!media) {
+      return res.status(404).json({ message: 'Media not found' });
+    }
+
+    if (media.tweet) {
+      return res.status(400).json({ message: 'Media attached to a tweet is deleted with the tweet' });
+    }
+
+    await destroyMedia(media);
+
+    res.json({ message: 'Media deleted' });
+  } catch (error) {
+    console.error('Delete media error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,300 @@
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const verifiedEmail = require('../middleware/verifiedEmail');
+const rateLimit = require('../middleware/rateLimit');
+const upload = require('../middleware/upload');
+const mediaType = require('../middleware/mediaType');
+const cloudinary = require('../config/cloudinary');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const { publishMessage } = require('../utils/realtime');
+const { isBlocked } = require('../utils/relationships');
+const pagination = require('../middleware/pagination');
+const { withCursor, cursorSort, buildPage } = require('../utils/pagination');
+
+const MAX_GROUP_PARTICIPANTS = 50;
+
+// Build read receipts: IDs of participants who have read up to the message
+const withReadBy = (message, conversation) => ({
+  ...message.toObject(),
+  readBy: conversation.readState
+    .filter(state => state.lastReadAt >= message.createdAt)
+    .map(state => state.user)
+});
+
+// Mark a conversation as read for a user
+const markRead = (conversationId, userId, at = new Date()) => {
+  return Conversation.updateOne(
+    { _id: conversationId, 'readState.user': userId },
+    { $set: { 'readState.$.lastReadAt': at } }
+  );
+};
+
+// Load a conversation the current user takes part in
+const findConversation = (req) => {
+  return Conversation.findOne({
+    _id: req.params.id,
+    participants: req.user.id
+  });
+};
+
+// @route   POST api/messages/conversations
+// @desc    Start a one-to-one or group conversation
+// @access  Private
+router.post('/conversations', [
+  auth,
+  verifiedEmail,
+  rateLimit('message'),
+  body('participants', 'Participants must be a list of user IDs').isArray({ min: 1 }),
+  body('participants.*', 'Participants must be a list of user IDs').isMongoId()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { name } = req.body;
+    const participantIds = [...new Set(req.body.participants.map(String))]
+      .filter(id => id !== req.user.id);
+
+    if (participantIds.length === 0) {
+      return res.status(400).json({ message: 'At least one other participant is required' });
+    }
+
+    if (participantIds.length + 1 > MAX_GROUP_PARTICIPANTS) {
+      return res.status(400).json({
+        message: `A conversation can have at most ${MAX_GROUP_PARTICIPANTS} participants`
+      });
+    }
+
+    const users = await User.find({ _id: { $in: participantIds } });
+
+    if (users.length !== participantIds.length) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Respect each participant's message privacy setting and blocks
+    const blocked = users.find(user =>
+      !user.allowsMessagesFrom(req.user.id) ||
+      user.hasBlocked(req.user.id) ||
+      req.user.hasBlocked(user._id)
+    );
+    if (blocked) {
+      return res.status(403).json({
+        message: `@${blocked.username} doesn't accept messages from you`
+      });
+    }
+
+    const isGroup = participantIds.length > 1;
+
+    // Reuse an existing one-to-one conversation
+    if (!isGroup) {
+      const existing = await Conversation.findOne({
+        isGroup: false,
+        participants: { $all: [req.user.id, participantIds[0]], $size: 2 }
+      })
+      .populate('participants', '_id name username profilePicture isVerified');
+
+      if (existing) {
+        return res.json(existing);
+      }
+    }
+
+    const participants = [req.user.id, ...participantIds];
+
+    const conversation = new Conversation({
+      participants,
+      isGroup,
+      name: isGroup ? name || '' : '',
+      createdBy: req.user.id,
+      readState: participants.map(user => ({ user }))
+    });
+
+    await conversation.save();
+    await conversation.populate('participants', '_id name username profilePicture isVerified');
+
+    res.json(conversation);
+  } catch (error) {
+    console.error('Create conversation error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/messages/conversations
+// @desc    Get conversations of current user by latest activity
+// @access  Private
+router.get('/conversations', [auth, pagination()], async (req, res) => {
+  try {
+    const { page } = req;
+
+    const conversations = await Conversation.find(
+      withCursor({ participants: req.user.id }, page, 'lastMessageAt')
+    )
+    .populate('participants', '_id name username profilePicture isVerified')
+    .populate('lastMessage')
+    .sort(cursorSort(page, 'lastMessageAt'))
+    .limit(page.limit + 1);
+
+    const result = buildPage(conversations, page, 'lastMessageAt');
+
+    // Add unread message count for current user
+    result.data = await Promise.all(result.data.map(async conversation => {
+      const unreadCount = await Message.countDocuments({
+        conversation: conversation._id,
+        sender: { $ne: req.user.id },
+        createdAt: { $gt: conversation.lastReadAt(req.user.id) }
+      });
+
+      return {
+        ...conversation.toObject(),
+        unreadCount
+      };
+    }));
+
+    res.json(result);
+  } catch (error) {
+    console.error('Get conversations error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/messages/conversations/:id
+// @desc    Get messages of a conversation, newest first
+// @access  Private
+router.get('/conversations/:id', [auth, pagination({ defaultLimit: 30 })], async (req, res) => {
+  try {
+    const conversation = await findConversation(req);
+
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    const { page } = req;
+
+    const messages = await Message.find(withCursor({ conversation: conversation._id }, page))
+      .populate('sender', '_id name username profilePicture isVerified')
+      .sort(cursorSort(page))
+      .limit(page.limit + 1);
+
+    res.json(buildPage(messages, page, 'createdAt', message =>
+      withReadBy(message, conversation)
+    ));
+  } catch (error) {
+    console.error('Get messages error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/messages/conversations/:id
+// @desc    Send a message with text and/or an image
+// @access  Private
+router.post('/conversations/:id', [
+  auth,
+  verifiedEmail,
+  rateLimit('message'),
+  upload.single('image'),
+  mediaType('image', 'gif')
+], async (req, res) => {
+  try {
+    const { content } = req.body;
+
+    if (!content && !req.file) {
+      return res.status(400).json({ message: 'Message content is required' });
+    }
+
+    const conversation = await findConversation(req);
+
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    // Blocks end one-to-one conversations, and so does the other user
+    // changing their message privacy setting to exclude the sender
+    if (!conversation.isGroup) {
+      const otherId = conversation.participants.find(id => id.toString() !== req.user.id);
+      const other = otherId && await User.findById(otherId).select('messagePrivacy following');
+
+      if (other && (!other.allowsMessagesFrom(req.user.id) || await isBlocked(req.user.id, otherId))) {
+        return res.status(403).json({ message: 'You cannot message this user' });
+      }
+    } else {
+      // Blocks between the sender and a participant made after the group
+      // was created stop the sender from messaging it
+      const otherIds = conversation.participants.filter(id => id.toString() !== req.user.id);
+      const blocked = await User.findOne({
+        _id: { $in: otherIds },
+        $or: [{ blocked: req.user.id }, { _id: { $in: req.user.blocked } }]
+      }).select('username');
+
+      if (blocked) {
+        return res.status(403).json({
+          message: `@${blocked.username} doesn't accept messages from you`
+        });
+      }
+    }
+
+    let imageUrl;
+
+    if (req.file) {
+      // Upload to cloudinary
+      const result = await cloudinary.uploader.upload(req.file.path, {
+        folder: 'chirp/messages'
+      });
+      imageUrl = result.secure_url;
+    }
+
+    const message = new Message({
+      conversation: conversation._id,
+      sender: req.user.id,
+      content: content || '',
+      image: imageUrl
+    });
+
+    await message.save();
+
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      { $set: { lastMessage: message._id, lastMessageAt: message.createdAt } }
+    );
+
+    // The sender has read everything up to their own message
+    await markRead(conversation._id, req.user.id, message.createdAt);
+
+    await message.populate('sender', '_id name username profilePicture isVerified');
+
+    await publishMessage(message, conversation.participants);
+
+    res.json(message);
+  } catch (error) {
+    console.error('Send message error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT api/messages/conversations/:id/read
+// @desc    Mark a conversation as read
+// @access  Private
+router.put('/conversations/:id/read', auth, async (req, res) => {
+  try {
+    const conversation = await findConversation(req);
+
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    await markRead(conversation._id, req.user.id);
+
+    res.json({ message: 'Conversation marked as read' });
+  } catch (error) {
+    console.error('Mark conversation read error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
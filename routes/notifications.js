@@ -0,0 +1,89 @@
+
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const Notification = require('../models/Notification');
+const pagination = require('../middleware/pagination');
+const { withCursor, cursorSort, buildPage } = require('../utils/pagination');
+
+// @route   GET api/notifications
+// @desc    Get notifications for current user, newest first. Grouped ones
+//          keep their place when more actors join, so paging through the
+//          list never skips or repeats one.
+// @access  Private
+router.get('/', [auth, pagination()], async (req, res) => {
+  try {
+    const { page } = req;
+
+    const notifications = await Notification.find(
+      withCursor({ recipient: req.user.id }, page)
+    )
+    .populate('actors', '_id name username profilePicture isVerified')
+    .populate('tweet', '_id content image')
+    .sort(cursorSort(page))
+    .limit(page.limit + 1);
+
+    res.json(buildPage(notifications, page));
+  } catch (error) {
+    console.error('Get notifications error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/notifications/unread-count
+// @desc    Get number of unread notifications
+// @access  Private
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({
+      recipient: req.user.id,
+      read: false
+    });
+
+    res.json({ count });
+  } catch (error) {
+    console.error('Get unread count error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    await Notification.updateMany(
+      { recipient: req.user.id, read: false },
+      { $set: { read: true } }
+    );
+
+    res.json({ message: 'All notifications marked as read' });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, recipient: req.user.id },
+      { $set: { read: true } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json(notification);
+  } catch (error) {
+    console.error('Mark notification read error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
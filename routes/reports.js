@@ -0,0 +1,97 @@
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const Report = require('../models/Report');
+const Tweet = require('../models/Tweet');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+
+// Check that a report target exists and the reporter may report it
+const findTarget = async (targetType, targetId, reporterId) => {
+  if (targetType === 'tweet') {
+    return Tweet.exists({ _id: targetId, deletedAt: null });
+  }
+
+  if (targetType === 'user') {
+    return User.exists({ _id: targetId });
+  }
+
+  // Messages can only be reported by participants of their conversation
+  const message = await Message.findById(targetId).select('conversation');
+
+  return message && Conversation.exists({
+    _id: message.conversation,
+    participants: reporterId
+  });
+};
+
+// @route   POST api/reports
+// @desc    Report a tweet, user or message
+// @access  Private
+router.post('/', [
+  auth,
+  rateLimit('report'),
+  body('targetType', 'Target type must be tweet, user or message')
+    .isIn(Report.schema.path('targetType').enumValues),
+  body('target', 'Target must be a valid ID').isMongoId(),
+  body('reason', 'Please choose a valid reason')
+    .isIn(Report.schema.path('reason').enumValues),
+  body('details', 'Details must be at most 500 characters')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { targetType, target, reason, details } = req.body;
+
+  try {
+    if (targetType === 'user' && target === req.user.id) {
+      return res.status(400).json({ message: 'You cannot report yourself' });
+    }
+
+    if (!(await findTarget(targetType, target, req.user.id))) {
+      return res.status(404).json({ message: 'Report target not found' });
+    }
+
+    const existing = await Report.findOne({
+      reporter: req.user.id,
+      target,
+      status: 'open'
+    });
+
+    if (existing) {
+      return res.status(400).json({ message: 'You have already reported this' });
+    }
+
+    const report = new Report({
+      reporter: req.user.id,
+      targetType,
+      target,
+      reason,
+      details
+    });
+
+    await report.save();
+
+    res.json(report);
+  } catch (error) {
+    // Concurrent duplicate report
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'You have already reported this' });
+    }
+
+    console.error('Create report error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
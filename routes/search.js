@@ -3,12 +3,16 @@ const express = require('express');
 const router = express.Router();
 const Tweet = require('../models/Tweet');
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
+const optionalAuth = require('../middleware/optionalAuth');
+const { tweetPopulate, serializeTweet } = require('../utils/tweets');
+const { getViewerFilter, excludeHiddenTweets, excludeHiddenUsers, isVisibleTo } = require('../utils/relationships');
+const pagination = require('../middleware/pagination');
+const { withCursor, cursorSort, buildPage } = require('../utils/pagination');
 
 // @route   GET api/search/tweets
 // @desc    Search tweets
 // @access  Public
-router.get('/tweets', async (req, res) => {
+router.get('/tweets', [optionalAuth, pagination()], async (req, res) => {
   try {
     const query = req.query.q;
     
@@ -16,46 +20,27 @@ router.get('/tweets', async (req, res) => {
       return res.status(400).json({ message: 'Search query is required' });
     }
     
-    const tweets = await Tweet.find({
-      content: { $regex: query, $options: 'i' },
-      replyTo: { $exists: false } // Exclude replies
-    })
-    .populate('user', '_id name username profilePicture isVerified')
-    .populate({
-      path: 'retweetData',
-      populate: {
-        path: 'user',
-        select: '_id name username profilePicture isVerified'
-      }
-    })
-    .sort({ createdAt: -1 })
-    .limit(20);
+    // A single #hashtag query uses the hashtag index
+    const hashtag = query.match(/^#([\p{L}\p{N}_]+)$/u);
+    const match = hashtag
+      ? { hashtags: hashtag[1].toLowerCase() }
+      : { content: { $regex: query, $options: 'i' } };
     
-    // Check if requesting user has liked or retweeted
-    let tweetsWithUserInteraction = tweets;
+    const { page } = req;
+    const filter = await getViewerFilter(req.user);
     
-    if (req.headers.authorization) {
-      try {
-        const token = req.headers.authorization.replace('Bearer ', '');
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        
-        tweetsWithUserInteraction = tweets.map(tweet => {
-          const isLiked = tweet.likes.includes(decoded.id);
-          const isRetweeted = tweet.retweets.includes(decoded.id);
-          
-          return {
-            ...tweet.toObject(),
-            isLiked,
-            isRetweeted
-          };
-        });
-      } catch (err) {
-        // Invalid token, but we'll still return the tweets
-        console.error('Token verification error:', err.message);
-      }
-    }
+    const tweets = await Tweet.find(withCursor(excludeHiddenTweets({
+      ...match,
+      replyTo: { $exists: false } // Exclude replies
+    }, filter), page))
+    .populate(tweetPopulate)
+    .sort(cursorSort(page))
+    .limit(page.limit + 1);
     
-    res.json(tweetsWithUserInteraction);
+    // Add isLiked and isRetweeted fields, leaving out hidden retweets
+    res.json(buildPage(tweets, page, 'createdAt', tweet =>
+      isVisibleTo(tweet, filter) ? serializeTweet(tweet, req.user && req.user.id, filter) : null
+    ));
   } catch (error) {
     console.error('Search tweets error:', error.message);
     res.status(500).json({ message: 'Server error' });
@@ -65,7 +50,7 @@ router.get('/tweets', async (req, res) => {
 // @route   GET api/search/users
 // @desc    Search users
 // @access  Public
-router.get('/users', async (req, res) => {
+router.get('/users', [optionalAuth, pagination()], async (req, res) => {
   try {
     const query = req.query.q;
     
@@ -73,41 +58,27 @@ router.get('/users', async (req, res) => {
       return res.status(400).json({ message: 'Search query is required' });
     }
     
-    const users = await User.find({
+    const { page } = req;
+    const filter = await getViewerFilter(req.user);
+    
+    const users = await User.find(withCursor(excludeHiddenUsers({
       $or: [
         { name: { $regex: query, $options: 'i' } },
         { username: { $regex: query, $options: 'i' } }
       ]
-    })
-    .select('_id name username profilePicture bio isVerified followers')
-    .limit(20);
-    
-    // Check if requesting user is following these users
-    let usersWithFollowStatus = users;
-    
-    if (req.headers.authorization) {
-      try {
-        const token = req.headers.authorization.replace('Bearer ', '');
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const currentUser = await User.findById(decoded.id);
-        
-        if (currentUser) {
-          usersWithFollowStatus = users.map(user => {
-            const isFollowing = currentUser.following.includes(user._id);
-            
-            return {
-              ...user.toObject(),
-              isFollowing
-            };
-          });
-        }
-      } catch (err) {
-        // Invalid token, but we'll still return the users
-        console.error('Token verification error:', err.message);
-      }
-    }
+    }, filter), page))
+    .select('_id name username profilePicture bio isVerified isProtected followers createdAt')
+    .sort(cursorSort(page))
+    .limit(page.limit + 1);
     
-    res.json(usersWithFollowStatus);
+    // Add isFollowing field for the requesting user. Protected accounts'
+    // followers are only listed for their followers.
+    res.json(buildPage(users, page, 'createdAt', user => ({
+      ...user.toObject(),
+      ...(!user.isVisibleTo(req.user) && { followers: [] }),
+      followerCount: user.followers.length,
+      isFollowing: req.user ? req.user.following.includes(user._id) : false
+    })));
   } catch (error) {
     console.error('Search users error:', error.message);
     res.status(500).json({ message: 'Server error' });
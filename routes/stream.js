@@ -0,0 +1,257 @@
+
+const express = require('express');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const Tweet = require('../models/Tweet');
+const User = require('../models/User');
+const pubsub = require('../utils/pubsub');
+const { isSessionActive } = require('../utils/tokens');
+const { channels } = require('../utils/realtime');
+const { getViewerFilter, excludeHiddenTweets, isVisibleTo } = require('../utils/relationships');
+const { withHiddenRelated } = require('../utils/tweets');
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+const MAX_WATCHED_TWEETS = 100;
+
+// Open streams in this process, keyed by connection ID
+const connections = new Map();
+
+// EventSource can't set headers, so also accept the JWT as a query parameter
+const tokenFromQuery = (req, res, next) => {
+  if (!req.header('Authorization') && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+const parseTweetIds = (value) => {
+  const ids = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(ids.map(id => String(id).trim()).filter(mongoose.isValidObjectId))]
+    .slice(0, MAX_WATCHED_TWEETS);
+};
+
+// Leave out tweets the viewer can't see, e.g. protected or by blocked or
+// inactive accounts
+const visibleTweetIds = async (viewer, tweetIds) => {
+  if (tweetIds.length === 0) return [];
+
+  const filter = await getViewerFilter(viewer);
+  const visible = await Tweet.find(excludeHiddenTweets({ _id: { $in: tweetIds } }, filter))
+    .distinct('_id');
+  const visibleIds = new Set(visible.map(id => id.toString()));
+
+  return tweetIds.filter(id => visibleIds.has(id));
+};
+
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Send a new tweet if the viewer may see it, by the same check as the
+// timeline, e.g. leaving out muted words and retweets of blocked accounts.
+// Tweets it replies to or quotes that the viewer may not see are replaced.
+const sendTweet = (connection, { event, data }) => {
+  if (!isVisibleTo(data, connection.filter)) return;
+
+  sendEvent(connection.res, event, withHiddenRelated(data, connection.filter));
+};
+
+// Subscribe a connection to new tweets of the user and the accounts they
+// follow, leaving out blocked and muted ones, and keep the viewer's filter
+// for checking them. Run again whenever these relationships or muted words
+// change.
+const syncAuthors = async (connection) => {
+  const user = await User.findById(connection.userId).select('-password');
+
+  if (!user) return;
+
+  const filter = await getViewerFilter(user);
+  connection.filter = filter;
+  const authorIds = [...user.following.map(id => id.toString()), connection.userId]
+    .filter(id => !filter.hiddenUserIds.has(id));
+
+  for (const [authorId, unsubscribe] of connection.authors) {
+    if (!authorIds.includes(authorId)) {
+      await unsubscribe();
+      connection.authors.delete(authorId);
+    }
+  }
+
+  for (const authorId of authorIds) {
+    if (!connection.authors.has(authorId)) {
+      const unsubscribe = await pubsub.subscribe(
+        channels.authorTweets(authorId),
+        message => sendTweet(connection, message)
+      );
+      connection.authors.set(authorId, unsubscribe);
+    }
+  }
+};
+
+// Replace the set of tweets whose counters a connection receives. Returns
+// the IDs of the tweets it watches.
+const setWatchedTweets = async (connection, viewer, requestedIds) => {
+  const tweetIds = await visibleTweetIds(viewer, requestedIds);
+
+  for (const [tweetId, unsubscribe] of connection.watched) {
+    if (!tweetIds.includes(tweetId)) {
+      await unsubscribe();
+      connection.watched.delete(tweetId);
+    }
+  }
+
+  for (const tweetId of tweetIds) {
+    if (!connection.watched.has(tweetId)) {
+      const unsubscribe = await pubsub.subscribe(
+        channels.tweetCounts(tweetId),
+        ({ event, data }) => sendEvent(connection.res, event, data)
+      );
+      connection.watched.set(tweetId, unsubscribe);
+    }
+  }
+
+  return tweetIds;
+};
+
+// @route   GET api/stream
+// @desc    Server-Sent Events stream of new timeline tweets, tweet counters
+//          and edits for watched tweets (?watch=id1,id2), notifications and
+//          messages. Ends with a `revoked` event once the session does.
+// @access  Private
+router.get('/', [tokenFromQuery, auth], async (req, res) => {
+  const connection = {
+    id: crypto.randomUUID(),
+    userId: req.user.id,
+    res,
+    subscriptions: [],
+    authors: new Map(),
+    watched: new Map()
+  };
+  connections.set(connection.id, connection);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Streams outlive the token that opened them, so each heartbeat checks
+  // that the session wasn't revoked, e.g. by logout or a password reset,
+  // and that the account is still active
+  const heartbeat = setInterval(async () => {
+    try {
+      const active = await isSessionActive(req.authSession._id);
+
+      if (closed) return;
+
+      if (!active) {
+        sendEvent(res, 'revoked', { message: 'Session has ended' });
+        close();
+        return res.end();
+      }
+
+      res.write(': ping\n\n');
+    } catch (error) {
+      console.error('Stream session check error:', error.message);
+    }
+  }, HEARTBEAT_INTERVAL);
+
+  const forward = ({ event, data }) => sendEvent(res, event, data);
+
+  const cleanup = async () => {
+    const subscriptions = [
+      ...connection.subscriptions,
+      ...connection.authors.values(),
+      ...connection.watched.values()
+    ];
+    connection.subscriptions = [];
+    connection.authors.clear();
+    connection.watched.clear();
+
+    try {
+      await Promise.all(subscriptions.map(unsubscribe => unsubscribe()));
+    } catch (error) {
+      console.error('Stream cleanup error:', error.message);
+    }
+  };
+
+  let closed = false;
+  const close = () => {
+    if (closed) return;
+
+    closed = true;
+    clearInterval(heartbeat);
+    connections.delete(connection.id);
+    cleanup();
+  };
+  req.on('close', close);
+
+  try {
+    // New tweets from followed accounts and own tweets
+    await syncAuthors(connection);
+
+    // Syncs run one after another so they can't subscribe twice, and one
+    // that finishes after the client left cleans up after itself
+    let syncing = Promise.resolve();
+    connection.subscriptions.push(
+      await pubsub.subscribe(channels.relationships(req.user.id), () => {
+        syncing = syncing
+          .then(async () => {
+            if (closed) return;
+
+            await syncAuthors(connection);
+
+            if (closed) await cleanup();
+          })
+          .catch(error => console.error('Stream resubscribe error:', error.message));
+      })
+    );
+
+    connection.subscriptions.push(
+      await pubsub.subscribe(channels.notifications(req.user.id), forward)
+    );
+
+    connection.subscriptions.push(
+      await pubsub.subscribe(channels.messages(req.user.id), forward)
+    );
+
+    await setWatchedTweets(connection, req.user, parseTweetIds(req.query.watch));
+
+    // The client may have disconnected while we were subscribing
+    if (closed) {
+      return cleanup();
+    }
+
+    sendEvent(res, 'ready', { connectionId: connection.id });
+  } catch (error) {
+    console.error('Stream subscribe error:', error.message);
+    res.end();
+  }
+});
+
+// @route   PUT api/stream/:connectionId/watch
+// @desc    Replace the tweets whose live counters a stream receives. Tweets
+//          the user can't see are left out of `watching`.
+// @access  Private
+router.put('/:connectionId/watch', auth, async (req, res) => {
+  try {
+    const connection = connections.get(req.params.connectionId);
+
+    if (!connection || connection.userId !== req.user.id) {
+      return res.status(404).json({ message: 'Stream not found' });
+    }
+
+    const tweetIds = await setWatchedTweets(connection, req.user, parseTweetIds(req.body.tweetIds));
+
+    res.json({ watching: tweetIds });
+  } catch (error) {
+    console.error('Update watched tweets error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+
+const express = require('express');
+const router = express.Router();
+const optionalAuth = require('../middleware/optionalAuth');
+const Tweet = require('../models/Tweet');
+const trends = require('../jobs/trends');
+const { tweetPopulate, serializeTweet } = require('../utils/tweets');
+const { getViewerFilter, excludeHiddenTweets } = require('../utils/relationships');
+
+// @route   GET api/trends
+// @desc    Get trending hashtags and keywords (?window=1h|24h)
+// @access  Public
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const window = req.query.window || '1h';
+    
+    if (!trends.WINDOWS[window]) {
+      return res.status(400).json({
+        message: `Window must be one of ${Object.keys(trends.WINDOWS).join(', ')}`
+      });
+    }
+    
+    const result = trends.getTrends(window);
+    
+    if (!result) {
+      return res.json({ window, computedAt: null, trends: [] });
+    }
+    
+    // Populate the sample tweets the viewer may see
+    const filter = await getViewerFilter(req.user);
+    const sampleIds = result.trends.flatMap(trend => trend.sampleTweets);
+    const samples = await Tweet.find(excludeHiddenTweets({ _id: { $in: sampleIds } }, filter))
+      .populate(tweetPopulate);
+    const samplesById = new Map(samples.map(tweet => [
+      tweet._id.toString(),
+      serializeTweet(tweet, req.user && req.user.id, filter)
+    ]));
+    
+    res.json({
+      ...result,
+      trends: result.trends.map(trend => ({
+        ...trend,
+        sampleTweets: trend.sampleTweets
+          .map(id => samplesById.get(id.toString()))
+          .filter(Boolean)
+      }))
+    });
+  } catch (error) {
+    console.error('Get trends error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,55 +1,100 @@
 
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const verifiedEmail = require('../middleware/verifiedEmail');
+const rateLimit = require('../middleware/rateLimit');
 const upload = require('../middleware/upload');
+const mediaType = require('../middleware/mediaType');
 const cloudinary = require('../config/cloudinary');
 const Tweet = require('../models/Tweet');
 const User = require('../models/User');
+const { createNotification, removeNotification, notifyMentions } = require('../utils/notifications');
+const { publishTweet, publishTweetCounts, publishTweetEdit } = require('../utils/realtime');
+const { USER_FIELDS, tweetPopulate, serializeTweet, deleteTweet } = require('../utils/tweets');
+const { getAncestors, getRootAuthor, getReplyTree } = require('../utils/conversation');
+const { extractEntities } = require('../utils/entities');
+const { parsePoll } = require('../utils/polls');
+const { findAttachableMedia, attachMedia, releaseMedia } = require('../utils/media');
+const { getRankedTimeline, isRankedAfter } = require('../utils/ranking');
+const {
+  isBlocked,
+  getViewerFilter,
+  isProtectedFrom,
+  excludeHiddenTweets,
+  isVisibleTo
+} = require('../utils/relationships');
+const pagination = require('../middleware/pagination');
+const { encodeCursor, withCursor, cursorSort, buildPage } = require('../utils/pagination');
+
+const MAX_THREAD_LENGTH = 25;
+const MAX_CONVERSATION_DEPTH = 5;
+const MAX_REPLIES_LIMIT = 50;
+const MAX_CHILD_REPLIES_LIMIT = 10;
+
+// Tweets can be edited a few times shortly after posting
+const EDIT_WINDOW = 30 * 60 * 1000;
+const MAX_EDITS = 5;
+
+// Read reply tree options from the query string
+const replyTreeOptions = (query) => ({
+  depth: Math.min(parseInt(query.depth) || 3, MAX_CONVERSATION_DEPTH),
+  limit: Math.min(parseInt(query.limit) || 10, MAX_REPLIES_LIMIT),
+  childLimit: Math.min(parseInt(query.childLimit) || 3, MAX_CHILD_REPLIES_LIMIT)
+});
 
 // @route   GET api/tweets
-// @desc    Get timeline tweets
+// @desc    Get timeline tweets, latest first or ranked (?mode=for_you)
 // @access  Private
-router.get('/', auth, async (req, res) => {
+router.get('/', [
+  auth,
+  pagination({ defaultLimit: 10, ranked: req => req.query.mode === 'for_you' })
+], async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const { page } = req;
+    const filter = await getViewerFilter(req.user);
+    
+    if (req.query.mode === 'for_you') {
+      // Later pages rank as of the time of the first, so scores don't
+      // drift between pages, and continue after the last tweet seen
+      const at = page.rank ? page.rank.at : Date.now();
+      const ranked = (await getRankedTimeline(req.user, at))
+        .filter(({ tweet }) => isVisibleTo(tweet, filter))
+        .filter(entry => !page.rank || isRankedAfter(entry, page.rank));
+      const items = ranked.slice(0, page.limit);
+      const last = items[items.length - 1];
+      
+      return res.json({
+        data: items.map(({ tweet, reason }) => ({
+          ...serializeTweet(tweet, req.user.id, filter),
+          reason
+        })),
+        next_cursor: ranked.length > page.limit
+          ? encodeCursor({ at, score: last.score, id: last.tweet._id })
+          : null,
+        prev_cursor: null
+      });
+    }
     
     // Get IDs of users that the current user is following
     const following = req.user.following;
     following.push(req.user.id); // Include own tweets
     
     // Get tweets from followed users and own tweets
-    const tweets = await Tweet.find({
+    const tweets = await Tweet.find(withCursor(excludeHiddenTweets({
       user: { $in: following },
       replyTo: { $exists: false } // Exclude replies
-    })
-    .populate('user', '_id name username profilePicture isVerified')
-    .populate({
-      path: 'retweetData',
-      populate: {
-        path: 'user',
-        select: '_id name username profilePicture isVerified'
-      }
-    })
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limit);
-    
-    // Add isLiked and isRetweeted fields
-    const tweetsWithUserInteraction = tweets.map(tweet => {
-      const isLiked = tweet.likes.includes(req.user.id);
-      const isRetweeted = tweet.retweets.includes(req.user.id);
-      
-      return {
-        ...tweet.toObject(),
-        isLiked,
-        isRetweeted
-      };
-    });
-    
-    res.json(tweetsWithUserInteraction);
+    }, filter), page))
+    .populate(tweetPopulate)
+    .sort(cursorSort(page))
+    .limit(page.limit + 1);
+    
+    // Add isLiked and isRetweeted fields, leaving out hidden retweets
+    res.json(buildPage(tweets, page, 'createdAt', tweet =>
+      isVisibleTo(tweet, filter) ? serializeTweet(tweet, req.user.id, filter) : null
+    ));
   } catch (error) {
     console.error('Get timeline tweets error:', error.message);
     res.status(500).json({ message: 'Server error' });
@@ -57,16 +102,49 @@ router.get('/', auth, async (req, res) => {
 });
 
 // @route   POST api/tweets
-// @desc    Create a tweet
+// @desc    Create a tweet. Attach `media` IDs from api/media, or a poll of
+//          { options, duration } where duration is in minutes.
 // @access  Private
-router.post('/', [auth, upload.single('image')], async (req, res) => {
+router.post('/', [
+  auth,
+  verifiedEmail,
+  rateLimit('tweet'),
+  upload.single('image'),
+  mediaType('image', 'gif')
+], async (req, res) => {
   try {
-    const { content, replyTo } = req.body;
+    const { content, replyTo, quoteOf } = req.body;
     
-    if (!content && !req.file) {
+    const { media, error: mediaError } = await findAttachableMedia(req.body.media, req.user.id);
+    
+    if (mediaError) {
+      return res.status(400).json({ message: mediaError });
+    }
+    
+    if (!content && !req.file && media.length === 0) {
       return res.status(400).json({ message: 'Tweet content is required' });
     }
     
+    if (req.file && media.length > 0) {
+      return res.status(400).json({ message: 'Attach either an image file or uploaded media' });
+    }
+    
+    let poll;
+    
+    if (req.body.poll) {
+      if (req.file || media.length > 0) {
+        return res.status(400).json({ message: 'A tweet cannot have both media and a poll' });
+      }
+      
+      const parsed = parsePoll(req.body.poll);
+      
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+      
+      poll = parsed.poll;
+    }
+    
     let imageUrl = '';
     
     if (req.file) {
@@ -77,28 +155,109 @@ router.post('/', [auth, upload.single('image')], async (req, res) => {
       imageUrl = result.secure_url;
     }
     
+    const text = (content || '').trim();
+    const { entities, hashtags } = await extractEntities(text);
+    
     const tweetData = {
       user: req.user.id,
-      content: content || '',
-      image: imageUrl
+      content: text,
+      image: imageUrl,
+      entities,
+      hashtags,
+      isProtected: req.user.isProtected,
+      media,
+      poll
     };
     
+    const filter = await getViewerFilter(req.user);
+    
     // If replying to a tweet
+    let parentTweet = null;
+    
     if (replyTo) {
-      const parentTweet = await Tweet.findById(replyTo);
+      parentTweet = await Tweet.findById(replyTo);
       
-      if (!parentTweet) {
+      if (!parentTweet || parentTweet.deletedAt || parentTweet.authorInactive ||
+        isProtectedFrom(parentTweet, filter)) {
         return res.status(404).json({ message: 'Tweet to reply to not found' });
       }
       
+      if (await isBlocked(req.user.id, parentTweet.user)) {
+        return res.status(403).json({ message: 'You cannot reply to this tweet' });
+      }
+      
       tweetData.replyTo = replyTo;
     }
     
+    // If quoting a tweet
+    let quotedTweet = null;
+    
+    if (quoteOf) {
+      quotedTweet = await Tweet.findById(quoteOf);
+      
+      if (!quotedTweet || quotedTweet.deletedAt || quotedTweet.authorInactive) {
+        return res.status(404).json({ message: 'Tweet to quote not found' });
+      }
+      
+      // Quoting a retweet quotes the original tweet
+      if (quotedTweet.retweetData) {
+        quotedTweet = await Tweet.findById(quotedTweet.retweetData);
+        
+        if (!quotedTweet || quotedTweet.deletedAt || quotedTweet.authorInactive) {
+          return res.status(404).json({ message: 'Tweet to quote not found' });
+        }
+      }
+      
+      if (await isBlocked(req.user.id, quotedTweet.user)) {
+        return res.status(403).json({ message: 'You cannot quote this tweet' });
+      }
+      
+      if (quotedTweet.isProtected) {
+        return res.status(403).json({ message: 'Protected tweets cannot be quoted' });
+      }
+      
+      tweetData.quoteOf = quotedTweet._id;
+      tweetData.isQuote = true;
+    }
+    
     const tweet = new Tweet(tweetData);
-    await tweet.save();
     
-    // Populate user data
-    await tweet.populate('user', '_id name username profilePicture isVerified');
+    if (media.length > 0 && !(await attachMedia(media, req.user.id, tweet._id))) {
+      return res.status(409).json({ message: 'Media is already attached to another tweet' });
+    }
+    
+    try {
+      await tweet.save();
+    } catch (error) {
+      await releaseMedia(tweet._id);
+      throw error;
+    }
+    
+    if (quotedTweet) {
+      await Tweet.updateOne({ _id: quotedTweet._id }, { $inc: { quoteCount: 1 } });
+      
+      await createNotification({
+        recipient: quotedTweet.user,
+        actor: req.user.id,
+        type: 'quote',
+        tweet: tweet._id
+      });
+    }
+    
+    // Notify the parent tweet's author and any mentioned users
+    if (parentTweet) {
+      await createNotification({
+        recipient: parentTweet.user,
+        actor: req.user.id,
+        type: 'reply',
+        tweet: tweet._id
+      });
+    }
+    
+    await notifyMentions(tweet);
+    
+    // Populate user, retweet and quote data
+    await tweet.populate(tweetPopulate);
     
     // If it's a reply, populate parent tweet data
     if (replyTo) {
@@ -106,41 +265,163 @@ router.post('/', [auth, upload.single('image')], async (req, res) => {
         path: 'replyTo',
         populate: {
           path: 'user',
-          select: '_id name username profilePicture isVerified'
+          select: USER_FIELDS
         }
       });
     }
     
-    res.json({
-      ...tweet.toObject(),
-      isLiked: false,
-      isRetweeted: false
-    });
+    // Push to followers' live timelines (replies aren't shown there)
+    if (!replyTo) {
+      await publishTweet(tweet);
+    }
+    
+    res.json(serializeTweet(tweet, req.user.id, await getViewerFilter(req.user)));
   } catch (error) {
     console.error('Create tweet error:', error.message);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   POST api/tweets/thread
+// @desc    Create a thread of tweets atomically. Send `tweets` as an ordered
+//          array of { content } (a JSON string in multipart requests) and
+//          optional images as files named images[<index>].
+// @access  Private
+router.post('/thread', [
+  auth,
+  verifiedEmail,
+  rateLimit('tweet'),
+  upload.any(),
+  mediaType('image', 'gif')
+], async (req, res) => {
+  const uploadedImages = [];
+  
+  try {
+    let items = req.body.tweets;
+    
+    if (typeof items === 'string') {
+      try {
+        items = JSON.parse(items);
+      } catch (err) {
+        items = null;
+      }
+    }
+    
+    if (!Array.isArray(items) || items.length < 2 || items.length > MAX_THREAD_LENGTH) {
+      return res.status(400).json({
+        message: `A thread must have between 2 and ${MAX_THREAD_LENGTH} tweets`
+      });
+    }
+    
+    // Match uploaded images to their tweets
+    const files = {};
+    
+    for (const file of req.files || []) {
+      const match = file.fieldname.match(/^images\[(\d+)\]$/);
+      
+      if (!match || Number(match[1]) >= items.length) {
+        return res.status(400).json({ message: `Unexpected file field ${file.fieldname}` });
+      }
+      
+      files[match[1]] = file;
+    }
+    
+    // Validate the whole batch before creating anything
+    const maxLength = Tweet.schema.path('content').options.maxlength;
+    const contents = items.map(item => String((item && item.content) || '').trim());
+    const errors = [];
+    
+    contents.forEach((content, index) => {
+      if (!content && !files[index]) {
+        errors.push({ index, message: 'Tweet content is required' });
+      } else if (content.length > maxLength) {
+        errors.push({ index, message: `Tweet must be at most ${maxLength} characters` });
+      }
+    });
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+    
+    // Upload images to cloudinary
+    const imageUrls = [];
+    
+    for (let index = 0; index < items.length; index++) {
+      if (files[index]) {
+        const result = await cloudinary.uploader.upload(files[index].path, {
+          folder: 'chirp/tweets'
+        });
+        uploadedImages.push(result.public_id);
+        imageUrls[index] = result.secure_url;
+      }
+    }
+    
+    // Each tweet replies to the previous one and points to the first
+    const ids = items.map(() => new mongoose.Types.ObjectId());
+    const extracted = await Promise.all(contents.map(content => extractEntities(content)));
+    const tweetsData = ids.map((id, index) => ({
+      _id: id,
+      user: req.user.id,
+      content: contents[index],
+      image: imageUrls[index] || '',
+      entities: extracted[index].entities,
+      hashtags: extracted[index].hashtags,
+      thread: ids[0],
+      isProtected: req.user.isProtected,
+      ...(index > 0 && { replyTo: ids[index - 1] })
+    }));
+    
+    const session = await mongoose.startSession();
+    
+    try {
+      await session.withTransaction(async () => {
+        await Tweet.insertMany(tweetsData, { session });
+      });
+    } finally {
+      await session.endSession();
+    }
+    
+    uploadedImages.length = 0;
+    
+    const tweets = await Tweet.find({ _id: { $in: ids } })
+      .populate(tweetPopulate)
+      .sort({ _id: 1 });
+    
+    for (const tweet of tweets) {
+      await notifyMentions(tweet);
+    }
+    
+    // Followers' live timelines only show the first tweet
+    await publishTweet(tweets[0]);
+    
+    const filter = await getViewerFilter(req.user);
+    
+    res.json(tweets.map(tweet => serializeTweet(tweet, req.user.id, filter)));
+  } catch (error) {
+    console.error('Create thread error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  } finally {
+    // Don't leave images of a thread that wasn't created
+    await Promise.all(uploadedImages.map(publicId =>
+      cloudinary.uploader.destroy(publicId).catch(err =>
+        console.error('Delete image error:', err.message)
+      )
+    ));
+  }
+});
+
 // @route   GET api/tweets/:id
 // @desc    Get a tweet by ID
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const tweet = await Tweet.findById(req.params.id)
-      .populate('user', '_id name username profilePicture isVerified')
-      .populate({
-        path: 'retweetData',
-        populate: {
-          path: 'user',
-          select: '_id name username profilePicture isVerified'
-        }
-      })
+      .populate(tweetPopulate)
       .populate({
         path: 'replyTo',
         populate: {
           path: 'user',
-          select: '_id name username profilePicture isVerified'
+          select: USER_FIELDS
         }
       });
     
@@ -148,42 +429,74 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Tweet not found' });
     }
     
-    // Check if requesting user has liked or retweeted
-    let isLiked = false;
-    let isRetweeted = false;
+    // Deleted tweets are shown as a tombstone, which reveals nothing
+    if (tweet.deletedAt) {
+      return res.json(serializeTweet(tweet));
+    }
     
-    if (req.headers.authorization) {
-      try {
-        const token = req.headers.authorization.replace('Bearer ', '');
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        
-        isLiked = tweet.likes.includes(decoded.id);
-        isRetweeted = tweet.retweets.includes(decoded.id);
-      } catch (err) {
-        // Invalid token, but we'll still return the tweet
-        console.error('Token verification error:', err.message);
-      }
+    const filter = await getViewerFilter(req.user);
+    
+    if (tweet.authorInactive || (tweet.retweetData && tweet.retweetData.authorInactive)) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    // A retweet is as protected as the tweet it retweets
+    if ([tweet, tweet.retweetData].some(item => item && isProtectedFrom(item, filter))) {
+      return res.status(403).json({ message: 'This tweet is protected' });
     }
     
+    res.json(serializeTweet(tweet, req.user && req.user.id, filter));
+  } catch (error) {
+    console.error('Get tweet error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/tweets/:id/history
+// @desc    Get every version of a tweet's content, newest first
+// @access  Public
+router.get('/:id/history', optionalAuth, async (req, res) => {
+  try {
+    const tweet = await Tweet.findById(req.params.id).select('+revisions');
+    
+    if (!tweet || tweet.deletedAt || tweet.authorInactive) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    const filter = await getViewerFilter(req.user);
+    
+    if (isProtectedFrom(tweet, filter)) {
+      return res.status(403).json({ message: 'This tweet is protected' });
+    }
+    
+    const current = {
+      content: tweet.content,
+      entities: tweet.entities,
+      hashtags: tweet.hashtags,
+      createdAt: tweet.editedAt || tweet.createdAt
+    };
+    
     res.json({
-      ...tweet.toObject(),
-      isLiked,
-      isRetweeted
+      tweetId: tweet._id,
+      isEdited: tweet.isEdited,
+      editableUntil: new Date(tweet.createdAt.getTime() + EDIT_WINDOW),
+      editsRemaining: Math.max(0, MAX_EDITS - tweet.revisions.length),
+      versions: [current, ...[...tweet.revisions].reverse()]
     });
   } catch (error) {
-    console.error('Get tweet error:', error.message);
+    console.error('Get tweet history error:', error.message);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
 // @route   DELETE api/tweets/:id
-// @desc    Delete a tweet
+// @desc    Delete a tweet. Replies stay, under a tombstone in its place.
 // @access  Private
 router.delete('/:id', auth, async (req, res) => {
   try {
     const tweet = await Tweet.findById(req.params.id);
     
-    if (!tweet) {
+    if (!tweet || tweet.deletedAt) {
       return res.status(404).json({ message: 'Tweet not found' });
     }
     
@@ -192,10 +505,7 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(401).json({ message: 'User not authorized' });
     }
     
-    await tweet.deleteOne();
-    
-    // Delete all replies to this tweet
-    await Tweet.deleteMany({ replyTo: req.params.id });
+    await deleteTweet(tweet);
     
     res.json({ message: 'Tweet deleted' });
   } catch (error) {
@@ -204,31 +514,160 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   PATCH api/tweets/:id
+// @desc    Edit the content of a tweet within the edit window. The previous
+//          version is kept in the tweet's history.
+// @access  Private
+router.patch('/:id', [auth, verifiedEmail, rateLimit('tweet')], async (req, res) => {
+  try {
+    const tweet = await Tweet.findById(req.params.id);
+    
+    if (!tweet || tweet.deletedAt) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    // Check if user owns the tweet
+    if (tweet.user.toString() !== req.user.id) {
+      return res.status(401).json({ message: 'User not authorized' });
+    }
+    
+    if (tweet.retweetData) {
+      return res.status(400).json({ message: 'Retweets cannot be edited' });
+    }
+    
+    const text = typeof req.body.content === 'string' ? req.body.content.trim() : '';
+    
+    if (!text && !tweet.image && tweet.media.length === 0) {
+      return res.status(400).json({ message: 'Tweet content is required' });
+    }
+    
+    if (text.length > 280) {
+      return res.status(400).json({ message: 'Tweet content cannot exceed 280 characters' });
+    }
+    
+    if (text === tweet.content) {
+      return res.status(400).json({ message: 'Tweet content is unchanged' });
+    }
+    
+    if (Date.now() - tweet.createdAt > EDIT_WINDOW) {
+      return res.status(403).json({
+        message: `Tweets can only be edited within ${EDIT_WINDOW / 60000} minutes of posting`
+      });
+    }
+    
+    const { entities, hashtags } = await extractEntities(text);
+    
+    // Match the content read above so concurrent edits can't overwrite
+    // each other, and the revision count so they can't exceed the limit
+    const edited = await Tweet.findOneAndUpdate(
+      {
+        _id: tweet._id,
+        content: tweet.content,
+        [`revisions.${MAX_EDITS - 1}`]: { $exists: false }
+      },
+      {
+        $push: {
+          revisions: {
+            content: tweet.content,
+            entities: tweet.toObject().entities,
+            hashtags: tweet.hashtags,
+            createdAt: tweet.editedAt || tweet.createdAt
+          }
+        },
+        $set: { content: text, entities, hashtags, editedAt: new Date() },
+        // The trends job reads the new content's terms
+        $unset: { trendTerms: 1 }
+      },
+      { new: true }
+    );
+    
+    if (!edited) {
+      const current = await Tweet.findById(tweet._id).select('+revisions');
+      
+      if (current && current.revisions.length >= MAX_EDITS) {
+        return res.status(403).json({ message: `Tweets can be edited at most ${MAX_EDITS} times` });
+      }
+      
+      return res.status(409).json({ message: 'Tweet was changed, please try again' });
+    }
+    
+    // Only users mentioned for the first time are notified. Mentions of
+    // deleted accounts no longer have a user.
+    const mentionedBefore = new Set(tweet.entities
+      .filter(entity => entity.type === 'mention' && entity.user)
+      .map(entity => entity.user.toString()));
+    
+    await notifyMentions({
+      _id: edited._id,
+      user: edited.user,
+      isProtected: edited.isProtected,
+      entities: edited.entities.filter(entity =>
+        entity.type === 'mention' && !mentionedBefore.has(entity.user.toString())
+      )
+    });
+    
+    await publishTweetEdit(edited);
+    
+    await edited.populate(tweetPopulate);
+    
+    res.json(serializeTweet(edited, req.user.id, await getViewerFilter(req.user)));
+  } catch (error) {
+    console.error('Edit tweet error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST api/tweets/:id/like
 // @desc    Like/unlike a tweet
 // @access  Private
-router.post('/:id/like', auth, async (req, res) => {
+router.post('/:id/like', [auth, verifiedEmail, rateLimit('like')], async (req, res) => {
   try {
     const tweet = await Tweet.findById(req.params.id);
     
-    if (!tweet) {
+    if (!tweet || tweet.deletedAt || tweet.authorInactive) {
       return res.status(404).json({ message: 'Tweet not found' });
     }
     
+    if (isProtectedFrom(tweet, await getViewerFilter(req.user))) {
+      return res.status(403).json({ message: 'This tweet is protected' });
+    }
+    
     // Check if user has already liked the tweet
     const isLiked = tweet.likes.includes(req.user.id);
     
     if (isLiked) {
       // Unlike
-      await Tweet.findByIdAndUpdate(req.params.id, {
+      const updatedTweet = await Tweet.findByIdAndUpdate(req.params.id, {
         $pull: { likes: req.user.id }
+      }, { new: true });
+      
+      await publishTweetCounts(updatedTweet);
+      
+      await removeNotification({
+        recipient: tweet.user,
+        actor: req.user.id,
+        type: 'like',
+        tweet: tweet._id
       });
       
       res.json({ message: 'Tweet unliked' });
     } else {
+      if (await isBlocked(req.user.id, tweet.user)) {
+        return res.status(403).json({ message: 'You cannot like this tweet' });
+      }
+      
       // Like
-      await Tweet.findByIdAndUpdate(req.params.id, {
+      const updatedTweet = await Tweet.findByIdAndUpdate(req.params.id, {
         $addToSet: { likes: req.user.id }
+      }, { new: true });
+      
+      await publishTweetCounts(updatedTweet);
+      
+      await createNotification({
+        recipient: tweet.user,
+        actor: req.user.id,
+        type: 'like',
+        tweet: tweet._id
       });
       
       res.json({ message: 'Tweet liked' });
@@ -242,11 +681,11 @@ router.post('/:id/like', auth, async (req, res) => {
 // @route   POST api/tweets/:id/retweet
 // @desc    Retweet/unretweet a tweet
 // @access  Private
-router.post('/:id/retweet', auth, async (req, res) => {
+router.post('/:id/retweet', [auth, verifiedEmail, rateLimit('retweet')], async (req, res) => {
   try {
     const tweet = await Tweet.findById(req.params.id);
     
-    if (!tweet) {
+    if (!tweet || tweet.deletedAt || tweet.authorInactive) {
       return res.status(404).json({ message: 'Tweet not found' });
     }
     
@@ -255,9 +694,11 @@ router.post('/:id/retweet', auth, async (req, res) => {
     
     if (isRetweeted) {
       // Unretweet
-      await Tweet.findByIdAndUpdate(req.params.id, {
+      const updatedTweet = await Tweet.findByIdAndUpdate(req.params.id, {
         $pull: { retweets: req.user.id }
-      });
+      }, { new: true });
+      
+      await publishTweetCounts(updatedTweet);
       
       // Delete the retweet
       await Tweet.deleteOne({
@@ -265,21 +706,49 @@ router.post('/:id/retweet', auth, async (req, res) => {
         retweetData: req.params.id
       });
       
+      await removeNotification({
+        recipient: tweet.user,
+        actor: req.user.id,
+        type: 'retweet',
+        tweet: tweet._id
+      });
+      
       res.json({ message: 'Tweet unretweeted' });
     } else {
+      if (await isBlocked(req.user.id, tweet.user)) {
+        return res.status(403).json({ message: 'You cannot retweet this tweet' });
+      }
+      
+      if (tweet.isProtected) {
+        return res.status(403).json({ message: 'Protected tweets cannot be retweeted' });
+      }
+      
       // Retweet
-      await Tweet.findByIdAndUpdate(req.params.id, {
+      const updatedTweet = await Tweet.findByIdAndUpdate(req.params.id, {
         $addToSet: { retweets: req.user.id }
-      });
+      }, { new: true });
+      
+      await publishTweetCounts(updatedTweet);
       
       // Create a retweet
       const retweet = new Tweet({
         user: req.user.id,
-        retweetData: req.params.id
+        retweetData: req.params.id,
+        isProtected: req.user.isProtected
       });
       
       await retweet.save();
       
+      await retweet.populate(tweetPopulate);
+      await publishTweet(retweet);
+      
+      await createNotification({
+        recipient: tweet.user,
+        actor: req.user.id,
+        type: 'retweet',
+        tweet: tweet._id
+      });
+      
       res.json({ message: 'Tweet retweeted' });
     }
   } catch (error) {
@@ -288,42 +757,193 @@ router.post('/:id/retweet', auth, async (req, res) => {
   }
 });
 
+// @route   POST api/tweets/:id/vote
+// @desc    Vote in a tweet's poll with the index of an option. Each user
+//          votes once and can't change their vote.
+// @access  Private
+router.post('/:id/vote', [auth, verifiedEmail, rateLimit('vote')], async (req, res) => {
+  try {
+    const tweet = await Tweet.findById(req.params.id);
+    
+    if (!tweet || tweet.deletedAt || tweet.authorInactive || !tweet.poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+    
+    const filter = await getViewerFilter(req.user);
+    
+    if (isProtectedFrom(tweet, filter)) {
+      return res.status(403).json({ message: 'This tweet is protected' });
+    }
+    
+    if (await isBlocked(req.user.id, tweet.user)) {
+      return res.status(403).json({ message: 'You cannot vote in this poll' });
+    }
+    
+    const option = Number(req.body.option);
+    
+    if (!Number.isInteger(option) || option < 0 || option >= tweet.poll.options.length) {
+      return res.status(400).json({ message: 'Invalid poll option' });
+    }
+    
+    // The filter makes voting twice or after the poll closed a no-op, even
+    // for concurrent requests
+    const updatedTweet = await Tweet.findOneAndUpdate(
+      {
+        _id: tweet._id,
+        'poll.endsAt': { $gt: new Date() },
+        'poll.options.voters': { $ne: req.user.id }
+      },
+      { $addToSet: { [`poll.options.${option}.voters`]: req.user.id } },
+      { new: true }
+    );
+    
+    if (!updatedTweet) {
+      return res.status(400).json({
+        message: tweet.poll.endsAt <= new Date()
+          ? 'This poll is closed'
+          : 'You have already voted in this poll'
+      });
+    }
+    
+    await updatedTweet.populate(tweetPopulate);
+    
+    res.json(serializeTweet(updatedTweet, req.user.id, filter));
+  } catch (error) {
+    console.error('Vote in poll error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET api/tweets/:id/comments
 // @desc    Get comments for a tweet
 // @access  Public
-router.get('/:id/comments', async (req, res) => {
+router.get('/:id/comments', [optionalAuth, pagination()], async (req, res) => {
   try {
-    const comments = await Tweet.find({ replyTo: req.params.id })
-      .populate('user', '_id name username profilePicture isVerified')
-      .sort({ createdAt: -1 });
+    const { page } = req;
+    const filter = await getViewerFilter(req.user);
     
-    // Check if requesting user has liked or retweeted
-    let commentsWithUserInteraction = comments;
+    const comments = await Tweet.find(withCursor(
+      excludeHiddenTweets({ replyTo: req.params.id }, filter, { tombstones: true }),
+      page
+    ))
+      .populate(tweetPopulate)
+      .sort(cursorSort(page))
+      .limit(page.limit + 1);
     
-    if (req.headers.authorization) {
-      try {
-        const token = req.headers.authorization.replace('Bearer ', '');
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        
-        commentsWithUserInteraction = comments.map(comment => {
-          const isLiked = comment.likes.includes(decoded.id);
-          const isRetweeted = comment.retweets.includes(decoded.id);
-          
-          return {
-            ...comment.toObject(),
-            isLiked,
-            isRetweeted
-          };
-        });
-      } catch (err) {
-        // Invalid token, but we'll still return the comments
-        console.error('Token verification error:', err.message);
+    // Add isLiked and isRetweeted fields
+    res.json(buildPage(comments, page, 'createdAt', comment =>
+      serializeTweet(comment, req.user && req.user.id, filter)
+    ));
+  } catch (error) {
+    console.error('Get comments error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/tweets/:id/conversation
+// @desc    Get a tweet with its parent chain and a paginated reply tree
+// @access  Public
+router.get('/:id/conversation', optionalAuth, async (req, res) => {
+  try {
+    const tweet = await Tweet.findById(req.params.id).populate(tweetPopulate);
+    
+    if (!tweet || tweet.authorInactive || (tweet.retweetData && tweet.retweetData.authorInactive)) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    const filter = await getViewerFilter(req.user);
+    
+    if (isProtectedFrom(tweet, filter)) {
+      return res.status(403).json({ message: 'This tweet is protected' });
+    }
+    
+    const viewerId = req.user && req.user.id;
+    const ancestors = await getAncestors(tweet, viewerId, filter);
+    const authorId = await getRootAuthor(tweet);
+    
+    const { replies, nextCursor } = await getReplyTree({
+      parentId: tweet._id,
+      authorId,
+      viewerId,
+      filter,
+      cursor: req.query.cursor,
+      ...replyTreeOptions(req.query)
+    });
+    
+    res.json({
+      ancestors,
+      tweet: serializeTweet(tweet, viewerId, filter),
+      replies: {
+        data: replies,
+        next_cursor: nextCursor,
+        prev_cursor: null
       }
+    });
+  } catch (error) {
+    console.error('Get conversation error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/tweets/:id/replies
+// @desc    Load more of a tweet's reply tree from a moreRepliesCursor
+// @access  Public
+router.get('/:id/replies', optionalAuth, async (req, res) => {
+  try {
+    const tweet = await Tweet.findById(req.params.id).select('user replyTo isProtected authorInactive');
+    
+    if (!tweet || tweet.authorInactive) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    const filter = await getViewerFilter(req.user);
+    
+    if (isProtectedFrom(tweet, filter)) {
+      return res.status(403).json({ message: 'This tweet is protected' });
     }
     
-    res.json(commentsWithUserInteraction);
+    const { replies, nextCursor } = await getReplyTree({
+      parentId: tweet._id,
+      authorId: await getRootAuthor(tweet),
+      viewerId: req.user && req.user.id,
+      filter,
+      cursor: req.query.cursor,
+      ...replyTreeOptions(req.query)
+    });
+    
+    res.json({
+      data: replies,
+      next_cursor: nextCursor,
+      prev_cursor: null
+    });
   } catch (error) {
-    console.error('Get comments error:', error.message);
+    console.error('Get replies error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/tweets/:id/quotes
+// @desc    Get tweets quoting a tweet
+// @access  Public
+router.get('/:id/quotes', [optionalAuth, pagination()], async (req, res) => {
+  try {
+    const { page } = req;
+    const filter = await getViewerFilter(req.user);
+    
+    const quotes = await Tweet.find(withCursor(
+      excludeHiddenTweets({ quoteOf: req.params.id }, filter),
+      page
+    ))
+      .populate(tweetPopulate)
+      .sort(cursorSort(page))
+      .limit(page.limit + 1);
+    
+    // Add isLiked and isRetweeted fields
+    res.json(buildPage(quotes, page, 'createdAt', quote =>
+      serializeTweet(quote, req.user && req.user.id, filter)
+    ));
+  } catch (error) {
+    console.error('Get quotes error:', error.message);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -331,47 +951,35 @@ router.get('/:id/comments', async (req, res) => {
 // @route   GET api/tweets/user/:userId
 // @desc    Get tweets by user
 // @access  Public
-router.get('/user/:userId', async (req, res) => {
+router.get('/user/:userId', [optionalAuth, pagination()], async (req, res) => {
   try {
-    const tweets = await Tweet.find({
-      user: req.params.userId,
-      replyTo: { $exists: false } // Exclude replies
-    })
-    .populate('user', '_id name username profilePicture isVerified')
-    .populate({
-      path: 'retweetData',
-      populate: {
-        path: 'user',
-        select: '_id name username profilePicture isVerified'
-      }
-    })
-    .sort({ createdAt: -1 });
+    const { page } = req;
+    const user = await User.findById(req.params.userId)
+      .select('_id isProtected status suspendedUntil');
     
-    // Check if requesting user has liked or retweeted
-    let tweetsWithUserInteraction = tweets;
+    if (!user || !user.isActive()) {
+      return res.status(404).json({ message: 'User not found' });
+    }
     
-    if (req.headers.authorization) {
-      try {
-        const token = req.headers.authorization.replace('Bearer ', '');
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        
-        tweetsWithUserInteraction = tweets.map(tweet => {
-          const isLiked = tweet.likes.includes(decoded.id);
-          const isRetweeted = tweet.retweets.includes(decoded.id);
-          
-          return {
-            ...tweet.toObject(),
-            isLiked,
-            isRetweeted
-          };
-        });
-      } catch (err) {
-        // Invalid token, but we'll still return the tweets
-        console.error('Token verification error:', err.message);
-      }
+    if (!user.isVisibleTo(req.user)) {
+      return res.status(403).json({ message: 'This account is protected' });
     }
     
-    res.json(tweetsWithUserInteraction);
+    const tweets = await Tweet.find(withCursor({
+      user: user._id,
+      replyTo: { $exists: false }, // Exclude replies
+      deletedAt: null
+    }, page))
+    .populate(tweetPopulate)
+    .sort(cursorSort(page))
+    .limit(page.limit + 1);
+    
+    const filter = await getViewerFilter(req.user);
+    
+    // Add isLiked and isRetweeted fields
+    res.json(buildPage(tweets, page, 'createdAt', tweet =>
+      serializeTweet(tweet, req.user && req.user.id, filter)
+    ));
   } catch (error) {
     console.error('Get user tweets error:', error.message);
     res.status(500).json({ message: 'Server error' });
@@ -1,11 +1,89 @@
 
 const express = require('express');
 const router = express.Router();
+const { body, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const rateLimit = require('../middleware/rateLimit');
 const upload = require('../middleware/upload');
+const mediaType = require('../middleware/mediaType');
+const verifiedEmail = require('../middleware/verifiedEmail');
 const cloudinary = require('../config/cloudinary');
 const User = require('../models/User');
 const Tweet = require('../models/Tweet');
+const Notification = require('../models/Notification');
+const { createNotification, removeNotification } = require('../utils/notifications');
+const { publishRelationshipChange } = require('../utils/realtime');
+const { isBlocked, getViewerFilter, excludeHiddenUsers } = require('../utils/relationships');
+const { setAccountStatus, reactivationDeadline } = require('../utils/accounts');
+const { requestDeletion } = require('../jobs/accountDeletion');
+const DataExport = require('../models/DataExport');
+const { requestExport, exportDay } = require('../jobs/dataExport');
+const { archivePath, downloadLink, verifyDownload } = require('../utils/dataExport');
+const pagination = require('../middleware/pagination');
+const { withCursor, cursorSort, buildPage, arrayPage } = require('../utils/pagination');
+
+const MAX_MUTED_WORDS = 200;
+
+// Optional mute duration in seconds
+const validateDuration = body('duration', 'Duration must be a number of seconds, at least 60')
+  .optional({ values: 'null' })
+  .isInt({ min: 60 });
+
+const expiryFrom = (duration) => {
+  return duration ? new Date(Date.now() + parseInt(duration) * 1000) : null;
+};
+
+// Account details and settings that only the account owner sees
+const PRIVATE_FIELDS = [
+  '-password',
+  '-email',
+  '-emailVerified',
+  '-role',
+  '-twoFactor',
+  '-messagePrivacy',
+  '-blocked',
+  '-muted',
+  '-mutedWords',
+  '-followRequests'
+].join(' ');
+
+// Read to turn away inactive accounts, but left out of public profiles
+const STATUS_FIELDS = ['status', 'suspendedUntil', 'deactivatedAt'];
+
+// One page of a follow list. Follows are added to the end of the lists,
+// so their order is the order of following.
+const followListPage = async (ids, page) => {
+  const { ids: pageIds, ...cursors } = arrayPage(ids, page);
+  const users = await User.find({ _id: { $in: pageIds } })
+    .select('_id name username profilePicture bio createdAt');
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+  
+  return {
+    data: pageIds.map(id => usersById.get(id)).filter(Boolean),
+    ...cursors
+  };
+};
+
+// Add a follow to both users' lists and notify the followed user
+const addFollow = async (followerId, followedId) => {
+  await User.findByIdAndUpdate(followerId, {
+    $addToSet: { following: followedId }
+  });
+  
+  await User.findByIdAndUpdate(followedId, {
+    $addToSet: { followers: followerId },
+    $pull: { followRequests: followerId }
+  });
+  
+  await publishRelationshipChange(followerId);
+  
+  await createNotification({
+    recipient: followedId,
+    actor: followerId,
+    type: 'follow'
+  });
+};
 
 // @route   GET api/users/me
 // @desc    Get current user
@@ -19,47 +97,453 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// @route   POST api/users/me/deactivate
+// @desc    Deactivate the current user's account. Signing in again within
+//          30 days reactivates it; after that it is deleted.
+// @access  Private
+router.post('/me/deactivate', [
+  auth,
+  body('password', 'Password is required').exists()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const user = await User.findById(req.user.id);
+    
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+    
+    const deactivated = await setAccountStatus(user._id, 'deactivated', {
+      deactivatedAt: new Date()
+    });
+    
+    res.json({
+      message: 'Account deactivated',
+      reactivateBefore: reactivationDeadline(deactivated)
+    });
+  } catch (error) {
+    console.error('Deactivate account error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/users/me
+// @desc    Permanently delete the current user's account with everything
+//          it created. Runs in the background; admins can follow the
+//          returned deletion.
+// @access  Private
+router.delete('/me', [
+  auth,
+  body('password', 'Password is required').exists()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const user = await User.findById(req.user.id);
+    
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+    
+    const deletion = await requestDeletion(user._id);
+    
+    res.status(202).json({
+      message: 'Account deletion started',
+      deletionId: deletion._id
+    });
+  } catch (error) {
+    console.error('Delete account error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/users/me/export
+// @desc    Start building an archive of the current user's data. Allowed
+//          once a day (UTC); failed exports don't count.
+// @access  Private
+router.post('/me/export', auth, async (req, res) => {
+  try {
+    let dataExport;
+    
+    try {
+      dataExport = await requestExport(req.user.id);
+    } catch (error) {
+      // The user already has an export today
+      if (error.code !== 11000) throw error;
+      
+      const today = await DataExport.findOne({ user: req.user.id, day: exportDay() });
+      const tomorrow = new Date();
+      tomorrow.setUTCHours(24, 0, 0, 0);
+      
+      res.set('Retry-After', String(Math.ceil((tomorrow - Date.now()) / 1000)));
+      return res.status(429).json({
+        message: 'You can request one export per day',
+        exportId: today ? today._id : null
+      });
+    }
+    
+    res.status(202).json({
+      message: 'Export started',
+      exportId: dataExport._id
+    });
+  } catch (error) {
+    console.error('Request data export error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/users/me/export
+// @desc    Get the status of the current user's latest export, with a
+//          signed download link once it is ready
+// @access  Private
+router.get('/me/export', auth, async (req, res) => {
+  try {
+    const dataExport = await DataExport.findOne({ user: req.user.id })
+      .sort({ createdAt: -1 });
+    
+    if (!dataExport) {
+      return res.status(404).json({ message: 'No export found' });
+    }
+    
+    res.json({
+      _id: dataExport._id,
+      status: dataExport.status,
+      size: dataExport.size,
+      error: dataExport.error,
+      createdAt: dataExport.createdAt,
+      completedAt: dataExport.completedAt,
+      expiresAt: dataExport.expiresAt,
+      download: dataExport.status === 'completed' ? downloadLink(dataExport) : null
+    });
+  } catch (error) {
+    console.error('Get data export error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/users/exports/:id/download
+// @desc    Download an export archive. The signed link is the credential,
+//          so it works without an Authorization header.
+// @access  Public
+router.get('/exports/:id/download', async (req, res) => {
+  try {
+    const { expires, signature } = req.query;
+    
+    if (!verifyDownload(req.params.id, expires, signature)) {
+      return res.status(403).json({ message: 'Download link is invalid or has expired' });
+    }
+    
+    const dataExport = await DataExport.findOne({ _id: req.params.id, status: 'completed' });
+    
+    if (!dataExport) {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+    
+    const date = dataExport.completedAt.toISOString().slice(0, 10);
+    
+    res.download(archivePath(dataExport.fileName), `chirp-archive-${date}.zip`, error => {
+      if (error && !res.headersSent) {
+        console.error('Download data export error:', error.message);
+        res.status(404).json({ message: 'Export not found' });
+      }
+    });
+  } catch (error) {
+    console.error('Download data export error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/users/me/blocked
+// @desc    Get accounts blocked by the current user
+// @access  Private
+router.get('/me/blocked', [auth, pagination()], async (req, res) => {
+  try {
+    const { page } = req;
+    
+    const users = await User.find(withCursor({ _id: { $in: req.user.blocked } }, page))
+      .select('_id name username profilePicture bio createdAt')
+      .sort(cursorSort(page))
+      .limit(page.limit + 1);
+    
+    res.json(buildPage(users, page));
+  } catch (error) {
+    console.error('Get blocked users error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/users/me/muted
+// @desc    Get accounts muted by the current user, with mute expiry
+// @access  Private
+router.get('/me/muted', [auth, pagination()], async (req, res) => {
+  try {
+    const { page } = req;
+    const mutes = req.user.activeMutes();
+    const expiries = new Map(mutes.map(mute => [mute.user.toString(), mute.expiresAt]));
+    
+    const users = await User.find(withCursor({ _id: { $in: mutes.map(mute => mute.user) } }, page))
+      .select('_id name username profilePicture bio createdAt')
+      .sort(cursorSort(page))
+      .limit(page.limit + 1);
+    
+    res.json(buildPage(users, page, 'createdAt', user => ({
+      ...user.toObject(),
+      muteExpiresAt: expiries.get(user._id.toString())
+    })));
+  } catch (error) {
+    console.error('Get muted users error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/users/me/muted-words
+// @desc    Get muted words and hashtags of the current user
+// @access  Private
+router.get('/me/muted-words', auth, async (req, res) => {
+  try {
+    res.json(req.user.activeMutedWords());
+  } catch (error) {
+    console.error('Get muted words error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/users/me/muted-words
+// @desc    Mute a word, phrase or #hashtag, optionally for `duration` seconds
+// @access  Private
+router.post('/me/muted-words', [
+  auth,
+  body('word', 'Word is required and must be at most 100 characters')
+    .trim()
+    .isLength({ min: 1, max: 100 }),
+  validateDuration
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const user = await User.findById(req.user.id);
+    const word = req.body.word.toLowerCase();
+    const expiresAt = expiryFrom(req.body.duration);
+    
+    // Drop expired mutes while we're at it
+    user.mutedWords = user.activeMutedWords();
+    
+    const existing = user.mutedWords.find(mute => mute.word === word);
+    
+    if (existing) {
+      existing.expiresAt = expiresAt;
+    } else if (user.mutedWords.length >= MAX_MUTED_WORDS) {
+      return res.status(400).json({
+        message: `You can mute at most ${MAX_MUTED_WORDS} words`
+      });
+    } else {
+      user.mutedWords.push({ word, expiresAt });
+    }
+    
+    await user.save();
+    await publishRelationshipChange(user._id);
+    
+    res.json(user.mutedWords.find(mute => mute.word === word));
+  } catch (error) {
+    console.error('Mute word error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/users/me/muted-words/:id
+// @desc    Unmute a word
+// @access  Private
+router.delete('/me/muted-words/:id', auth, async (req, res) => {
+  try {
+    const result = await User.updateOne(
+      { _id: req.user.id, 'mutedWords._id': req.params.id },
+      { $pull: { mutedWords: { _id: req.params.id } } }
+    );
+    
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ message: 'Muted word not found' });
+    }
+    
+    await publishRelationshipChange(req.user.id);
+    
+    res.json({ message: 'Word unmuted' });
+  } catch (error) {
+    console.error('Unmute word error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/users/me/follow-requests
+// @desc    Get pending follow requests to the current user
+// @access  Private
+router.get('/me/follow-requests', [auth, pagination()], async (req, res) => {
+  try {
+    const { page } = req;
+    
+    const users = await User.find(withCursor({ _id: { $in: req.user.followRequests } }, page))
+      .select('_id name username profilePicture bio createdAt')
+      .sort(cursorSort(page))
+      .limit(page.limit + 1);
+    
+    res.json(buildPage(users, page));
+  } catch (error) {
+    console.error('Get follow requests error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/users/me/follow-requests/:id/approve
+// @desc    Approve a follow request
+// @access  Private
+router.post('/me/follow-requests/:id/approve', auth, async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.user.id, followRequests: req.params.id });
+    
+    if (!user) {
+      return res.status(404).json({ message: 'Follow request not found' });
+    }
+    
+    await removeNotification({
+      recipient: req.user.id,
+      actor: req.params.id,
+      type: 'follow_request'
+    });
+    
+    await addFollow(req.params.id, req.user.id);
+    
+    res.json({ message: 'Follow request approved' });
+  } catch (error) {
+    console.error('Approve follow request error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/users/me/follow-requests/:id/reject
+// @desc    Reject a follow request
+// @access  Private
+router.post('/me/follow-requests/:id/reject', auth, async (req, res) => {
+  try {
+    const result = await User.updateOne(
+      { _id: req.user.id, followRequests: req.params.id },
+      { $pull: { followRequests: req.params.id } }
+    );
+    
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ message: 'Follow request not found' });
+    }
+    
+    await removeNotification({
+      recipient: req.user.id,
+      actor: req.params.id,
+      type: 'follow_request'
+    });
+    
+    res.json({ message: 'Follow request rejected' });
+  } catch (error) {
+    console.error('Reject follow request error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/users/suggested
+// @desc    Get suggested users to follow
+// @access  Private
+router.get('/suggested', auth, async (req, res) => {
+  try {
+    const filter = await getViewerFilter(req.user);
+    
+    // Get users that the current user is not following, leaving out
+    // blocked and muted accounts. Limit to 5 users
+    const users = await User.find(excludeHiddenUsers({
+      _id: { $ne: req.user.id, $nin: req.user.following }
+    }, filter))
+    .select('_id name username profilePicture bio')
+    .limit(5);
+    
+    // Add isFollowing field (should be false for all)
+    const usersWithFollowStatus = users.map(user => ({
+      ...user.toObject(),
+      isFollowing: false
+    }));
+    
+    res.json(usersWithFollowStatus);
+  } catch (error) {
+    console.error('Get suggested users error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET api/users/:username
 // @desc    Get user by username
 // @access  Public
-router.get('/:username', async (req, res) => {
+router.get('/:username', optionalAuth, async (req, res) => {
   try {
     const user = await User.findOne({ username: req.params.username })
-      .select('-password')
-      .populate('followers', '_id name username profilePicture')
-      .populate('following', '_id name username profilePicture');
+      .select(PRIVATE_FIELDS);
     
-    if (!user) {
+    if (!user || ['deactivated', 'deleting'].includes(user.status)) {
       return res.status(404).json({ message: 'User not found' });
     }
     
+    if (!user.isActive()) {
+      return res.status(403).json({ message: 'This account has been suspended' });
+    }
+    
+    // Protected accounts only show their follow lists to followers
+    const isVisible = user.isVisibleTo(req.user);
+    const followerCount = user.followers.length;
+    const followingCount = user.following.length;
+    
+    if (isVisible) {
+      await user.populate([
+        { path: 'followers', select: '_id name username profilePicture' },
+        { path: 'following', select: '_id name username profilePicture' }
+      ]);
+    }
+    
     // Get tweet count
     const tweetCount = await Tweet.countDocuments({ 
       user: user._id,
-      replyTo: { $exists: false } // Exclude replies
+      replyTo: { $exists: false }, // Exclude replies
+      deletedAt: null
     });
     
-    // Check if requesting user is following this user
-    let isFollowing = false;
-    if (req.headers.authorization) {
-      try {
-        const token = req.headers.authorization.replace('Bearer ', '');
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const currentUser = await User.findById(decoded.id);
-        
-        if (currentUser) {
-          isFollowing = currentUser.following.includes(user._id);
-        }
-      } catch (err) {
-        // Invalid token, but we'll still return the user data
-        console.error('Token verification error:', err.message);
-      }
-    }
+    // Check if requesting user is following, blocking or muting this user
+    const isFollowing = req.user ? req.user.following.includes(user._id) : false;
+    const isBlocking = req.user ? req.user.hasBlocked(user._id) : false;
+    const isMuted = req.user
+      ? req.user.activeMutes().some(mute => mute.user.toString() === user._id.toString())
+      : false;
+    const isFollowRequested = req.user
+      ? Boolean(await User.exists({ _id: user._id, followRequests: req.user._id }))
+      : false;
+    
+    const profile = user.toObject();
+    STATUS_FIELDS.forEach(field => delete profile[field]);
     
     res.json({
-      ...user.toObject(),
+      ...profile,
+      ...(!isVisible && { followers: [], following: [] }),
+      followerCount,
+      followingCount,
       tweets: tweetCount,
-      isFollowing
+      isFollowing,
+      isFollowRequested,
+      isBlocking,
+      isMuted
     });
   } catch (error) {
     console.error('Get user error:', error.message);
@@ -70,8 +554,23 @@ router.get('/:username', async (req, res) => {
 // @route   PUT api/users/profile
 // @desc    Update user profile
 // @access  Private
-router.put('/profile', auth, async (req, res) => {
-  const { name, bio, location, website } = req.body;
+router.put('/profile', [
+  auth,
+  body('messagePrivacy', 'Message privacy must be everyone, following or nobody')
+    .optional()
+    .isIn(['everyone', 'following', 'nobody']),
+  body('isProtected', 'isProtected must be a boolean')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  const { name, bio, location, website, messagePrivacy, isProtected } = req.body;
   
   // Build profile object
   const profileFields = {};
@@ -79,6 +578,8 @@ router.put('/profile', auth, async (req, res) => {
   if (bio) profileFields.bio = bio;
   if (location) profileFields.location = location;
   if (website) profileFields.website = website;
+  if (messagePrivacy) profileFields.messagePrivacy = messagePrivacy;
+  if (isProtected !== undefined) profileFields.isProtected = isProtected;
   
   try {
     let user = await User.findById(req.user.id);
@@ -87,6 +588,8 @@ router.put('/profile', auth, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
     
+    const previous = user;
+    
     // Update user
     user = await User.findByIdAndUpdate(
       req.user.id,
@@ -94,6 +597,33 @@ router.put('/profile', auth, async (req, res) => {
       { new: true }
     ).select('-password');
     
+    if (isProtected !== undefined && isProtected !== previous.isProtected) {
+      // Tweets carry their author's protection for filtering
+      await Tweet.updateMany({ user: user._id }, { $set: { isProtected } });
+      
+      // Unprotecting an account approves its pending follow requests
+      if (!isProtected && previous.followRequests.length > 0) {
+        const requesters = previous.followRequests;
+        
+        await User.updateMany(
+          { _id: { $in: requesters } },
+          { $addToSet: { following: user._id } }
+        );
+        
+        user = await User.findByIdAndUpdate(
+          user._id,
+          {
+            $addToSet: { followers: { $each: requesters } },
+            $set: { followRequests: [] }
+          },
+          { new: true }
+        ).select('-password');
+        
+        await Notification.deleteMany({ recipient: user._id, type: 'follow_request' });
+        await Promise.all(requesters.map(publishRelationshipChange));
+      }
+    }
+    
     res.json(user);
   } catch (error) {
     console.error('Update profile error:', error.message);
@@ -104,7 +634,7 @@ router.put('/profile', auth, async (req, res) => {
 // @route   POST api/users/profile-picture
 // @desc    Upload profile picture
 // @access  Private
-router.post('/profile-picture', [auth, upload.single('image')], async (req, res) => {
+router.post('/profile-picture', [auth, upload.single('image'), mediaType('image', 'gif')], async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'Please upload an image' });
@@ -134,7 +664,7 @@ router.post('/profile-picture', [auth, upload.single('image')], async (req, res)
 // @route   POST api/users/cover-photo
 // @desc    Upload cover photo
 // @access  Private
-router.post('/cover-photo', [auth, upload.single('image')], async (req, res) => {
+router.post('/cover-photo', [auth, upload.single('image'), mediaType('image', 'gif')], async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'Please upload an image' });
@@ -165,7 +695,7 @@ router.post('/cover-photo', [auth, upload.single('image')], async (req, res) =>
 // @route   POST api/users/:id/follow
 // @desc    Follow/unfollow a user
 // @access  Private
-router.post('/:id/follow', auth, async (req, res) => {
+router.post('/:id/follow', [auth, verifiedEmail, rateLimit('follow')], async (req, res) => {
   try {
     if (req.params.id === req.user.id.toString()) {
       return res.status(400).json({ message: 'You cannot follow yourself' });
@@ -192,17 +722,51 @@ router.post('/:id/follow', auth, async (req, res) => {
         $pull: { followers: req.user.id }
       });
       
-      res.json({ message: 'User unfollowed' });
-    } else {
-      // Follow
-      await User.findByIdAndUpdate(req.user.id, {
-        $addToSet: { following: req.params.id }
+      await publishRelationshipChange(req.user.id);
+      
+      await removeNotification({
+        recipient: userToFollow._id,
+        actor: req.user.id,
+        type: 'follow'
       });
       
+      res.json({ message: 'User unfollowed' });
+    } else if (userToFollow.followRequests.some(id => id.toString() === req.user.id)) {
+      // Cancel a pending follow request
       await User.findByIdAndUpdate(req.params.id, {
-        $addToSet: { followers: req.user.id }
+        $pull: { followRequests: req.user.id }
       });
       
+      await removeNotification({
+        recipient: userToFollow._id,
+        actor: req.user.id,
+        type: 'follow_request'
+      });
+      
+      res.json({ message: 'Follow request cancelled' });
+    } else {
+      if (await isBlocked(req.user.id, req.params.id)) {
+        return res.status(403).json({ message: 'You cannot follow this user' });
+      }
+      
+      // Protected accounts approve followers first
+      if (userToFollow.isProtected) {
+        await User.findByIdAndUpdate(req.params.id, {
+          $addToSet: { followRequests: req.user.id }
+        });
+        
+        await createNotification({
+          recipient: userToFollow._id,
+          actor: req.user.id,
+          type: 'follow_request'
+        });
+        
+        return res.json({ message: 'Follow request sent' });
+      }
+      
+      // Follow
+      await addFollow(req.user.id, userToFollow._id);
+      
       res.json({ message: 'User followed' });
     }
   } catch (error) {
@@ -211,68 +775,179 @@ router.post('/:id/follow', auth, async (req, res) => {
   }
 });
 
-// @route   GET api/users/:id/followers
-// @desc    Get user followers
-// @access  Public
-router.get('/:id/followers', async (req, res) => {
+// @route   POST api/users/:id/block
+// @desc    Block a user. Removes follows in both directions.
+// @access  Private
+router.post('/:id/block', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.params.id)
-      .select('followers')
-      .populate('followers', '_id name username profilePicture bio');
+    if (req.params.id === req.user.id.toString()) {
+      return res.status(400).json({ message: 'You cannot block yourself' });
+    }
     
-    if (!user) {
+    const userToBlock = await User.findById(req.params.id);
+    
+    if (!userToBlock) {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    res.json(user.followers);
+    await User.findByIdAndUpdate(req.user.id, {
+      $addToSet: { blocked: userToBlock._id },
+      $pull: {
+        following: userToBlock._id,
+        followers: userToBlock._id,
+        followRequests: userToBlock._id
+      }
+    });
+    
+    await User.findByIdAndUpdate(userToBlock._id, {
+      $pull: {
+        following: req.user.id,
+        followers: req.user.id,
+        followRequests: req.user.id
+      }
+    });
+    
+    await publishRelationshipChange(req.user.id);
+    await publishRelationshipChange(userToBlock._id);
+    
+    await removeNotification({
+      recipient: userToBlock._id,
+      actor: req.user.id,
+      type: 'follow'
+    });
+    
+    await removeNotification({
+      recipient: req.user.id,
+      actor: userToBlock._id,
+      type: 'follow'
+    });
+    
+    res.json({ message: 'User blocked' });
   } catch (error) {
-    console.error('Get followers error:', error.message);
+    console.error('Block user error:', error.message);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// @route   GET api/users/:id/following
-// @desc    Get users that the user is following
+// @route   DELETE api/users/:id/block
+// @desc    Unblock a user
+// @access  Private
+router.delete('/:id/block', auth, async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user.id, {
+      $pull: { blocked: req.params.id }
+    });
+    
+    await publishRelationshipChange(req.user.id);
+    
+    res.json({ message: 'User unblocked' });
+  } catch (error) {
+    console.error('Unblock user error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/users/:id/mute
+// @desc    Mute a user, optionally for `duration` seconds
+// @access  Private
+router.post('/:id/mute', [auth, validateDuration], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    if (req.params.id === req.user.id.toString()) {
+      return res.status(400).json({ message: 'You cannot mute yourself' });
+    }
+    
+    const userToMute = await User.findById(req.params.id);
+    
+    if (!userToMute) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const expiresAt = expiryFrom(req.body.duration);
+    
+    // Replace any earlier mute of the same user
+    await User.findByIdAndUpdate(req.user.id, {
+      $pull: { muted: { user: userToMute._id } }
+    });
+    
+    await User.findByIdAndUpdate(req.user.id, {
+      $push: { muted: { user: userToMute._id, expiresAt } }
+    });
+    
+    await publishRelationshipChange(req.user.id);
+    
+    res.json({ message: 'User muted', expiresAt });
+  } catch (error) {
+    console.error('Mute user error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/users/:id/mute
+// @desc    Unmute a user
+// @access  Private
+router.delete('/:id/mute', auth, async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user.id, {
+      $pull: { muted: { user: req.params.id } }
+    });
+    
+    await publishRelationshipChange(req.user.id);
+    
+    res.json({ message: 'User unmuted' });
+  } catch (error) {
+    console.error('Unmute user error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/users/:id/followers
+// @desc    Get user followers, most recent follow first
 // @access  Public
-router.get('/:id/following', async (req, res) => {
+router.get('/:id/followers', [optionalAuth, pagination({ listed: true })], async (req, res) => {
   try {
-    const user = await User.findById(req.params.id)
-      .select('following')
-      .populate('following', '_id name username profilePicture bio');
+    const { page } = req;
+    const user = await User.findById(req.params.id).select('followers isProtected');
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    res.json(user.following);
+    if (!user.isVisibleTo(req.user)) {
+      return res.status(403).json({ message: 'This account is protected' });
+    }
+    
+    res.json(await followListPage(user.followers, page));
   } catch (error) {
-    console.error('Get following error:', error.message);
+    console.error('Get followers error:', error.message);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// @route   GET api/users/suggested
-// @desc    Get suggested users to follow
-// @access  Private
-router.get('/suggested', auth, async (req, res) => {
+// @route   GET api/users/:id/following
+// @desc    Get users that the user is following, most recent follow first
+// @access  Public
+router.get('/:id/following', [optionalAuth, pagination({ listed: true })], async (req, res) => {
   try {
-    // Get users that the current user is not following
-    // Limit to 5 users
-    const users = await User.find({
-      _id: { $ne: req.user.id, $nin: req.user.following }
-    })
-    .select('_id name username profilePicture bio')
-    .limit(5);
+    const { page } = req;
+    const user = await User.findById(req.params.id).select('following isProtected');
     
-    // Add isFollowing field (should be false for all)
-    const usersWithFollowStatus = users.map(user => ({
-      ...user.toObject(),
-      isFollowing: false
-    }));
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
     
-    res.json(usersWithFollowStatus);
+    if (!user.isVisibleTo(req.user)) {
+      return res.status(403).json({ message: 'This account is protected' });
+    }
+    
+    res.json(await followListPage(user.following, page));
   } catch (error) {
-    console.error('Get suggested users error:', error.message);
+    console.error('Get following error:', error.message);
     res.status(500).json({ message: 'Server error' });
   }
 });
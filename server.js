@@ -3,6 +3,7 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const morgan = require('morgan');
+const multer = require('multer');
 const path = require('path');
 require('dotenv').config();
 
@@ -11,29 +12,87 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const tweetRoutes = require('./routes/tweets');
 const searchRoutes = require('./routes/search');
+const notificationRoutes = require('./routes/notifications');
+const streamRoutes = require('./routes/stream');
+const messageRoutes = require('./routes/messages');
+const hashtagRoutes = require('./routes/hashtags');
+const trendRoutes = require('./routes/trends');
+const reportRoutes = require('./routes/reports');
+const adminRoutes = require('./routes/admin');
+const draftRoutes = require('./routes/drafts');
+const mediaRoutes = require('./routes/media');
+
+// Import middleware
+const rateLimit = require('./middleware/rateLimit');
+const cleanupUploads = require('./middleware/cleanupUploads');
+
+// Import background jobs
+const trendsJob = require('./jobs/trends');
+const accountsJob = require('./jobs/accounts');
+const accountDeletionJob = require('./jobs/accountDeletion');
+const dataExportJob = require('./jobs/dataExport');
+const tweetRetentionJob = require('./jobs/tweetRetention');
+const draftsJob = require('./jobs/drafts');
+const mediaCleanupJob = require('./jobs/mediaCleanup');
 
 // Initialize app
 const app = express();
 
+// Behind a reverse proxy, set TRUST_PROXY so rate limits see client IPs
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(express.json());
 app.use(cors({ origin: '*' }));
+// Stream tokens and download signatures travel in query strings; keep them
+// out of request logs
+morgan.token('url', (req) => (req.originalUrl || req.url)
+  .replace(/([?&](?:token|signature)=)[^&]*/g, '$1[redacted]'));
 app.use(morgan('dev'));
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('MongoDB connected'))
+  .then(() => {
+    console.log('MongoDB connected');
+    
+    // Start background jobs
+    trendsJob.start();
+    accountsJob.start();
+    accountDeletionJob.start();
+    dataExportJob.start();
+    tweetRetentionJob.start();
+    draftsJob.start();
+    mediaCleanupJob.start();
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
+app.use('/api', rateLimit('global'));
+app.use('/api', cleanupUploads);
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/tweets', tweetRoutes);
 app.use('/api/search', searchRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/messages', messageRoutes);
+app.use('/api/hashtags', hashtagRoutes);
+app.use('/api/trends', trendRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/drafts', draftRoutes);
+app.use('/api/media', mediaRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // e.g. a file over the route's size limit
+  if (err instanceof multer.MulterError) {
+    return res.status(400).json({ message: err.message });
+  }
+
   console.error(err.stack);
   res.status(500).json({ message: 'Something went wrong!' });
 });
@@ -0,0 +1,268 @@
+
+const User = require('../models/User');
+const Tweet = require('../models/Tweet');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const VerificationToken = require('../models/VerificationToken');
+const DataExport = require('../models/DataExport');
+const Draft = require('../models/Draft');
+const Media = require('../models/Media');
+const { revokeSessions } = require('./tokens');
+const { destroyImage, destroyMedia } = require('./media');
+const { removeArchive } = require('./dataExport');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// How long a deactivated account can still be restored by signing in
+const REACTIVATION_WINDOW = 30 * DAY;
+
+const PURGE_BATCH_SIZE = 100;
+
+const INACTIVE_STATUSES = ['deactivated', 'suspended', 'banned', 'deleting'];
+
+const reactivationDeadline = (user) => {
+  return new Date(user.deactivatedAt.getTime() + REACTIVATION_WINDOW);
+};
+
+// Change an account's status. Tweets of accounts that aren't active are
+// hidden, and their sessions are revoked.
+const setAccountStatus = async (userId, status, fields = {}) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { status, ...fields } },
+    { new: true }
+  ).select('-password');
+
+  if (!user) {
+    return null;
+  }
+
+  await Tweet.updateMany(
+    { user: user._id },
+    { $set: { authorInactive: status !== 'active' } }
+  );
+
+  if (status !== 'active') {
+    await revokeSessions({ user: user._id }, status);
+  }
+
+  return user;
+};
+
+// Reason a user can't sign in, as a response body, or null if they can.
+// Deactivated accounts may sign in to reactivate within the window.
+const signInError = (user, now = new Date()) => {
+  if (user.status === 'banned') {
+    return { message: 'Account is banned' };
+  }
+
+  if (user.isSuspended(now)) {
+    return { message: 'Account is suspended', suspendedUntil: user.suspendedUntil };
+  }
+
+  if (user.status === 'deleting' ||
+    (user.status === 'deactivated' && reactivationDeadline(user) <= now)) {
+    return { message: 'Account is being deleted' };
+  }
+
+  return null;
+};
+
+// Bring a user who is allowed to sign in back to active: reactivates a
+// deactivated account or ends a suspension that is over. Returns the
+// previous status if it changed.
+const restoreAccount = async (user) => {
+  if (user.status === 'active') {
+    return null;
+  }
+
+  const previous = user.status;
+
+  await setAccountStatus(user._id, 'active', { deactivatedAt: null, suspendedUntil: null });
+  user.status = 'active';
+  user.deactivatedAt = null;
+  user.suspendedUntil = null;
+
+  return previous;
+};
+
+// Steps of permanently deleting an account, in order. Each step gets the
+// user ID and a function to report how many items it processed, and can
+// be re-run after a failure without harm.
+const DELETION_STEPS = [
+  {
+    // Uploaded images, looked up before the documents pointing at them go
+    name: 'media',
+    run: async (userId, report) => {
+      const user = await User.findById(userId).select('profilePicture coverPhoto');
+      const sources = [
+        Tweet.find({ user: userId, image: { $nin: [null, ''] } }).select('image').cursor(),
+        Message.find({ sender: userId, image: { $nin: [null, ''] } }).select('image').cursor()
+      ];
+
+      if (user) {
+        for (const url of [user.profilePicture, user.coverPhoto]) {
+          if (await destroyImage(url)) await report(1);
+        }
+      }
+
+      for (const cursor of sources) {
+        for await (const doc of cursor) {
+          if (await destroyImage(doc.image)) await report(1);
+        }
+      }
+
+      for await (const media of Media.find({ user: userId }).cursor()) {
+        await destroyMedia(media);
+        await report(1);
+      }
+    }
+  },
+  {
+    // Images of published drafts belong to their tweets
+    name: 'drafts',
+    run: async (userId, report) => {
+      const drafts = Draft.find({ user: userId, status: { $ne: 'published' } })
+        .select('image')
+        .cursor();
+
+      for await (const draft of drafts) {
+        await destroyImage(draft.image);
+      }
+
+      const { deletedCount } = await Draft.deleteMany({ user: userId });
+      await report(deletedCount);
+    }
+  },
+  {
+    name: 'tweets',
+    run: async (userId, report) => {
+      let batch;
+
+      while ((batch = await Tweet.find({ user: userId })
+        .select('_id quoteOf')
+        .limit(PURGE_BATCH_SIZE)).length > 0) {
+        for (const tweet of batch) {
+          // Other users' retweets of the tweet go with it
+          await Tweet.deleteMany({ retweetData: tweet._id });
+          const { deletedCount } = await Tweet.deleteOne({ _id: tweet._id });
+
+          if (deletedCount > 0 && tweet.quoteOf) {
+            await Tweet.updateOne({ _id: tweet.quoteOf }, { $inc: { quoteCount: -1 } });
+          }
+        }
+
+        await report(batch.length);
+      }
+    }
+  },
+  {
+    // Likes, retweets, poll votes and mentions in other users' tweets
+    name: 'references',
+    run: async (userId, report) => {
+      const likes = await Tweet.updateMany({ likes: userId }, { $pull: { likes: userId } });
+      const retweets = await Tweet.updateMany({ retweets: userId }, { $pull: { retweets: userId } });
+      const votes = await Tweet.updateMany(
+        { 'poll.options.voters': userId },
+        { $pull: { 'poll.options.$[].voters': userId } }
+      );
+
+      // Mentions keep their text but no longer link to the account, so
+      // code reading stored mention entities must allow a missing user
+      const mentions = await Tweet.updateMany(
+        { 'entities.user': userId },
+        { $unset: { 'entities.$[mention].user': 1 } },
+        { arrayFilters: [{ 'mention.user': userId }] }
+      );
+
+      await report(
+        likes.modifiedCount + retweets.modifiedCount + votes.modifiedCount + mentions.modifiedCount
+      );
+    }
+  },
+  {
+    name: 'relationships',
+    run: async (userId, report) => {
+      const result = await User.updateMany(
+        {
+          $or: [
+            { followers: userId },
+            { following: userId },
+            { followRequests: userId },
+            { blocked: userId },
+            { 'muted.user': userId }
+          ]
+        },
+        {
+          $pull: {
+            followers: userId,
+            following: userId,
+            followRequests: userId,
+            blocked: userId,
+            muted: { user: userId }
+          }
+        }
+      );
+
+      await report(result.modifiedCount);
+    }
+  },
+  {
+    name: 'messages',
+    run: async (userId, report) => {
+      const { deletedCount } = await Message.deleteMany({ sender: userId });
+      await Conversation.updateMany(
+        { participants: userId },
+        { $pull: { participants: userId, readState: { user: userId } } }
+      );
+      await Conversation.deleteMany({ participants: { $size: 0 } });
+
+      await report(deletedCount);
+    }
+  },
+  {
+    name: 'notifications',
+    run: async (userId, report) => {
+      const { deletedCount } = await Notification.deleteMany({ recipient: userId });
+      await Notification.updateMany({ actors: userId }, { $pull: { actors: userId } });
+      await Notification.deleteMany({ actors: { $size: 0 } });
+
+      await report(deletedCount);
+    }
+  },
+  {
+    name: 'exports',
+    run: async (userId, report) => {
+      const exports = await DataExport.find({ user: userId });
+
+      for (const dataExport of exports) {
+        await removeArchive(dataExport.fileName);
+        await DataExport.deleteOne({ _id: dataExport._id });
+      }
+
+      await report(exports.length);
+    }
+  },
+  {
+    name: 'account',
+    run: async (userId, report) => {
+      await Session.deleteMany({ user: userId });
+      await VerificationToken.deleteMany({ user: userId });
+      const { deletedCount } = await User.deleteOne({ _id: userId });
+
+      await report(deletedCount);
+    }
+  }
+];
+
+module.exports = {
+  REACTIVATION_WINDOW,
+  INACTIVE_STATUSES,
+  reactivationDeadline,
+  setAccountStatus,
+  signInError,
+  restoreAccount,
+  DELETION_STEPS
+};
@@ -0,0 +1,175 @@
+
+const Tweet = require('../models/Tweet');
+const { tweetPopulate, unavailableTweet, protectedTweet, serializeTweet } = require('./tweets');
+const { encodeCursor, decodeCursor } = require('./pagination');
+const { isProtectedFrom, excludeHiddenTweets } = require('./relationships');
+
+const MAX_ANCESTORS = 100;
+// Most replies one reply tree includes, which bounds the queries it takes
+const MAX_TREE_NODES = 200;
+
+// Replies cursors hold the ranking position of the last reply returned:
+// whether it was by the original author, plus its createdAt and _id. An
+// empty cursor means "from the first reply".
+const decodeReplyCursor = (cursor) => {
+  const position = cursor ? decodeCursor(cursor) : null;
+  return position && position.id
+    ? { ...position, createdAt: new Date(position.createdAt) }
+    : null;
+};
+
+// Query condition for tweets after a position in (createdAt, _id) order
+const after = (position) => {
+  if (!position) return {};
+
+  return {
+    $or: [
+      { createdAt: { $gt: position.createdAt } },
+      { createdAt: position.createdAt, _id: { $gt: position.id } }
+    ]
+  };
+};
+
+// Get the parent chain of a tweet, root first. Deleted parents show as
+// tombstones, and a purged one ends the chain; protected ones and those of
+// inactive accounts are replaced with a tombstone too.
+const getAncestors = async (tweet, viewerId, filter) => {
+  const ancestors = [];
+  let parentId = tweet.replyTo;
+
+  while (parentId && ancestors.length < MAX_ANCESTORS) {
+    const parent = await Tweet.findById(parentId).populate(tweetPopulate);
+
+    if (!parent) {
+      ancestors.push({ _id: parentId, deleted: true, content: 'This tweet was deleted' });
+      break;
+    }
+
+    if (parent.authorInactive && !parent.deletedAt) {
+      ancestors.push(unavailableTweet(parent));
+    } else if (isProtectedFrom(parent, filter)) {
+      ancestors.push(protectedTweet(parent));
+    } else {
+      ancestors.push(serializeTweet(parent, viewerId, filter));
+    }
+
+    parentId = parent.replyTo;
+  }
+
+  return ancestors.reverse();
+};
+
+// Get the author of the tweet that started a conversation
+const getRootAuthor = async (tweet) => {
+  let current = tweet;
+  let hops = 0;
+
+  while (current.replyTo && hops < MAX_ANCESTORS) {
+    const parent = await Tweet.findById(current.replyTo).select('user replyTo');
+    if (!parent) break;
+
+    current = parent;
+    hops++;
+  }
+
+  return current.user._id || current.user;
+};
+
+// Get one page of replies to a tweet. Replies by the original author come
+// first, then everyone else's, each oldest first. Replies hidden from the
+// viewer by the given filter are left out.
+const getReplyPage = async (parentId, authorId, limit, cursor, viewerFilter) => {
+  const position = decodeReplyCursor(cursor);
+  const replies = [];
+
+  const find = (filter, count) => Tweet.find(
+    excludeHiddenTweets({ replyTo: parentId, ...filter }, viewerFilter, { tombstones: true })
+  )
+    .populate(tweetPopulate)
+    .populate('commentCount')
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(count);
+
+  if (!position || position.op) {
+    replies.push(...await find({ user: authorId, ...after(position) }, limit + 1));
+  }
+
+  if (replies.length <= limit) {
+    const othersAfter = position && !position.op ? position : null;
+    replies.push(...await find(
+      { user: { $ne: authorId }, ...after(othersAfter) },
+      limit + 1 - replies.length
+    ));
+  }
+
+  const page = replies.slice(0, limit);
+  const last = page[page.length - 1];
+
+  return {
+    replies: page,
+    nextCursor: replies.length > limit ? encodeCursor({
+      op: Boolean(last.user) && last.user._id.toString() === authorId.toString(),
+      createdAt: last.createdAt,
+      id: last._id
+    }) : null
+  };
+};
+
+// Build a reply tree to the given depth and at most MAX_TREE_NODES replies.
+// Each node carries the cursor for loading more of its replies, or null
+// when all of them are included. Branches are filled in order, sharing the
+// budget of replies left.
+const getReplyTree = async ({
+  parentId,
+  authorId,
+  viewerId,
+  filter,
+  depth,
+  limit,
+  childLimit,
+  cursor,
+  budget = { nodes: MAX_TREE_NODES }
+}) => {
+  const { replies, nextCursor } = await getReplyPage(
+    parentId, authorId, Math.min(limit, budget.nodes), cursor, filter
+  );
+  budget.nodes -= replies.length;
+
+  const nodes = [];
+
+  for (const reply of replies) {
+    const node = { ...serializeTweet(reply, viewerId, filter), replies: [], moreRepliesCursor: null };
+
+    if (reply.commentCount > 0) {
+      if (depth > 1 && budget.nodes > 0) {
+        const subtree = await getReplyTree({
+          parentId: reply._id,
+          authorId,
+          viewerId,
+          filter,
+          depth: depth - 1,
+          limit: childLimit,
+          childLimit,
+          budget
+        });
+
+        node.replies = subtree.replies;
+        node.moreRepliesCursor = subtree.nextCursor;
+      } else {
+        // Depth or size limit reached; let the client load this branch on
+        // demand
+        node.moreRepliesCursor = encodeCursor({});
+      }
+    }
+
+    nodes.push(node);
+  }
+
+  return { replies: nodes, nextCursor };
+};
+
+module.exports = {
+  getAncestors,
+  getRootAuthor,
+  getReplyTree
+};
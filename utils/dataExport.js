@@ -0,0 +1,267 @@
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const archiver = require('archiver');
+const User = require('../models/User');
+const Tweet = require('../models/Tweet');
+// Not destructured: relationships loads modules that load this one
+const relationships = require('./relationships');
+const config = require('../config/exports');
+
+const archivePath = (fileName) => path.join(config.dir, fileName);
+
+// Delete an archive file. Files that are already gone are ignored.
+const removeArchive = async (fileName) => {
+  if (!fileName) return;
+
+  await fs.promises.rm(archivePath(fileName), { force: true });
+};
+
+const sign = (exportId, expires) => {
+  return crypto.createHmac('sha256', config.secret)
+    .update(`${exportId}.${expires}`)
+    .digest('hex');
+};
+
+// Signed link to download an export, valid for a limited time and never
+// longer than the archive itself
+const downloadLink = (dataExport, now = Date.now()) => {
+  const expiresAt = Math.min(now + config.linkTtl, dataExport.expiresAt.getTime());
+  const expires = Math.floor(expiresAt / 1000);
+  const query = new URLSearchParams({ expires, signature: sign(dataExport._id, expires) });
+
+  return {
+    url: `/api/users/exports/${dataExport._id}/download?${query}`,
+    expiresAt: new Date(expires * 1000)
+  };
+};
+
+const verifyDownload = (exportId, expires, signature) => {
+  if (!/^\d+$/.test(String(expires)) || Number(expires) * 1000 <= Date.now()) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(exportId, expires));
+  const given = Buffer.from(String(signature || ''));
+
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}[char]));
+
+const toJson = (value) => JSON.stringify(value, null, 2);
+
+const serializeAccount = (user) => ({
+  id: user._id,
+  username: user.username,
+  name: user.name
+});
+
+const serializeTweet = (tweet, media) => ({
+  id: tweet._id,
+  content: tweet.content || '',
+  image: media.get(tweet.image) || null,
+  media: tweet.media.map(item => media.get(item.url)).filter(Boolean),
+  replyTo: tweet.replyTo || null,
+  quoteOf: tweet.quoteOf || null,
+  hashtags: tweet.hashtags,
+  likeCount: tweet.likes.length,
+  retweetCount: tweet.retweets.length,
+  createdAt: tweet.createdAt
+});
+
+// Other users' tweets the user liked or retweeted
+const serializeReference = (tweet) => ({
+  id: tweet._id,
+  author: tweet.user ? tweet.user.username : null,
+  content: tweet.content || '',
+  createdAt: tweet.createdAt
+});
+
+// Download uploaded images into the archive. Returns a map from URL to
+// path inside the archive; images that can't be fetched are left out.
+const addMedia = async (archive, uploads) => {
+  const media = new Map();
+
+  for (const { url, name } of uploads) {
+    if (!url || media.has(url)) continue;
+
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const extension = path.extname(new URL(url).pathname) || '.jpg';
+      const file = `media/${name}${extension}`;
+
+      archive.append(Buffer.from(await response.arrayBuffer()), { name: file });
+      media.set(url, file);
+    } catch (error) {
+      console.error(`Export media ${url} error:`, error.message);
+    }
+  }
+
+  return media;
+};
+
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.webm'];
+
+const renderMedia = (file) => VIDEO_EXTENSIONS.includes(path.extname(file))
+  ? `<video src="${escapeHtml(file)}" controls></video>`
+  : `<img src="${escapeHtml(file)}" alt="">`;
+
+const renderTweets = (tweets) => tweets.map(tweet => `
+      <li>
+        <time>${escapeHtml(new Date(tweet.createdAt).toISOString())}</time>
+        ${tweet.author ? `<strong>@${escapeHtml(tweet.author)}</strong>` : ''}
+        <p>${escapeHtml(tweet.content)}</p>
+        ${[tweet.image, ...(tweet.media || [])].filter(Boolean).map(renderMedia).join('')}
+      </li>`).join('');
+
+const renderAccounts = (accounts) => accounts.map(account => `
+      <li>${escapeHtml(account.name)} @${escapeHtml(account.username)}</li>`).join('');
+
+// Page to browse the archive without reading the JSON files
+const renderIndex = ({ profile, tweets, likes, retweets, followers, following, media }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Chirp archive of @${escapeHtml(profile.username)}</title>
+  <style>
+    body { font-family: sans-serif; max-width: 640px; margin: 0 auto; padding: 1em; }
+    li { margin-bottom: 1em; }
+    img, video { max-width: 100%; }
+    time { color: #666; font-size: 0.9em; }
+  </style>
+</head>
+<body>
+  <header>
+    ${media.get(profile.profilePicture) ? `<img src="${escapeHtml(media.get(profile.profilePicture))}" alt="" width="96">` : ''}
+    <h1>${escapeHtml(profile.name)} @${escapeHtml(profile.username)}</h1>
+    <p>${escapeHtml(profile.bio)}</p>
+    <p>Exported ${escapeHtml(new Date().toISOString())}. The same data is in the JSON files of this archive.</p>
+  </header>
+  <nav>
+    <a href="#tweets">Tweets (${tweets.length})</a> ·
+    <a href="#likes">Likes (${likes.length})</a> ·
+    <a href="#retweets">Retweets (${retweets.length})</a> ·
+    <a href="#followers">Followers (${followers.length})</a> ·
+    <a href="#following">Following (${following.length})</a>
+  </nav>
+  <section id="tweets">
+    <h2>Tweets and replies</h2>
+    <ul>${renderTweets(tweets)}
+    </ul>
+  </section>
+  <section id="likes">
+    <h2>Likes</h2>
+    <ul>${renderTweets(likes)}
+    </ul>
+  </section>
+  <section id="retweets">
+    <h2>Retweets</h2>
+    <ul>${renderTweets(retweets)}
+    </ul>
+  </section>
+  <section id="followers">
+    <h2>Followers</h2>
+    <ul>${renderAccounts(followers)}
+    </ul>
+  </section>
+  <section id="following">
+    <h2>Following</h2>
+    <ul>${renderAccounts(following)}
+    </ul>
+  </section>
+</body>
+</html>
+`;
+
+// Write a ZIP archive of a user's data: JSON files, their uploaded images
+// and an HTML index. Returns the archive size in bytes.
+const buildArchive = async (userId, fileName) => {
+  const user = await User.findById(userId).select('-password');
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  // Liked and retweeted tweets only include those the user can still see
+  const filter = await relationships.getViewerFilter(user);
+
+  const [tweets, liked, retweeted, followers, following] = await Promise.all([
+    Tweet.find({ user: userId, retweetData: { $exists: false }, deletedAt: null })
+      .populate('media', 'url')
+      .sort({ createdAt: -1 }),
+    Tweet.find(relationships.excludeHiddenTweets({ likes: userId }, filter))
+      .populate('user', 'username')
+      .sort({ createdAt: -1 }),
+    Tweet.find(relationships.excludeHiddenTweets({ retweets: userId }, filter))
+      .populate('user', 'username')
+      .sort({ createdAt: -1 }),
+    User.find({ _id: { $in: user.followers } }).select('_id username name'),
+    User.find({ _id: { $in: user.following } }).select('_id username name')
+  ]);
+
+  await fs.promises.mkdir(config.dir, { recursive: true });
+
+  const output = fs.createWriteStream(archivePath(fileName));
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const written = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+  });
+
+  archive.pipe(output);
+
+  const media = await addMedia(archive, [
+    { url: user.profilePicture, name: 'profile-picture' },
+    { url: user.coverPhoto, name: 'cover-photo' },
+    ...tweets.map(tweet => ({ url: tweet.image, name: `tweet-${tweet._id}` })),
+    ...tweets.flatMap(tweet => tweet.media.map((item, index) => ({
+      url: item.url,
+      name: `tweet-${tweet._id}-${index + 1}`
+    })))
+  ]);
+
+  const profile = user.toObject();
+  delete profile.followers;
+  delete profile.following;
+  delete profile.followRequests;
+
+  const data = {
+    profile,
+    tweets: tweets.map(tweet => serializeTweet(tweet, media)),
+    likes: liked.map(serializeReference),
+    retweets: retweeted.map(serializeReference),
+    followers: followers.map(serializeAccount),
+    following: following.map(serializeAccount)
+  };
+
+  for (const [name, value] of Object.entries(data)) {
+    archive.append(toJson(value), { name: `${name}.json` });
+  }
+  archive.append(renderIndex({ ...data, media }), { name: 'index.html' });
+
+  await archive.finalize();
+  await written;
+
+  return archive.pointer();
+};
+
+module.exports = {
+  buildArchive,
+  removeArchive,
+  archivePath,
+  downloadLink,
+  verifyDownload
+};
@@ -0,0 +1,76 @@
+
+const User = require('../models/User');
+
+const URL_PATTERN = /https?:\/\/[^\s]+/g;
+const HASHTAG_PATTERN = /(?<![\w#&])#([\p{L}\p{N}_]*[\p{L}_][\p{L}\p{N}_]*)/gu;
+const MENTION_PATTERN = /(?<![\w@])@(\w{1,30})/g;
+
+// Punctuation that usually ends a sentence rather than a URL
+const TRAILING_PUNCTUATION = /[.,!?;:'")\]]+$/;
+
+const overlaps = (entity, ranges) => {
+  return ranges.some(range => entity.start < range.end && entity.end > range.start);
+};
+
+// Find hashtag, mention and URL candidates in tweet content. Offsets are
+// string indices into the content, end exclusive.
+const parseEntities = (content) => {
+  const urls = [...content.matchAll(URL_PATTERN)].map(match => {
+    const url = match[0].replace(TRAILING_PUNCTUATION, '');
+    return { type: 'url', start: match.index, end: match.index + url.length, url };
+  });
+
+  // Anything inside a URL is part of the URL
+  const hashtags = [...content.matchAll(HASHTAG_PATTERN)]
+    .map(match => ({
+      type: 'hashtag',
+      start: match.index,
+      end: match.index + match[0].length,
+      tag: match[1].toLowerCase()
+    }))
+    .filter(entity => !overlaps(entity, urls));
+
+  const mentions = [...content.matchAll(MENTION_PATTERN)]
+    .map(match => ({
+      type: 'mention',
+      start: match.index,
+      end: match.index + match[0].length,
+      username: match[1].toLowerCase()
+    }))
+    .filter(entity => !overlaps(entity, urls));
+
+  return [...urls, ...hashtags, ...mentions].sort((a, b) => a.start - b.start);
+};
+
+// Parse tweet content and resolve mentions against existing users. Mentions
+// of unknown usernames are dropped and stay plain text.
+const extractEntities = async (content) => {
+  const entities = parseEntities(content || '');
+
+  const usernames = [...new Set(entities
+    .filter(entity => entity.type === 'mention')
+    .map(entity => entity.username))];
+
+  const users = usernames.length > 0
+    ? await User.find({ username: { $in: usernames } }).select('_id username')
+    : [];
+  const usersByName = new Map(users.map(user => [user.username, user._id]));
+
+  const resolved = entities
+    .filter(entity => entity.type !== 'mention' || usersByName.has(entity.username))
+    .map(entity => entity.type === 'mention'
+      ? { ...entity, user: usersByName.get(entity.username) }
+      : entity);
+
+  return {
+    entities: resolved,
+    hashtags: [...new Set(resolved
+      .filter(entity => entity.type === 'hashtag')
+      .map(entity => entity.tag))]
+  };
+};
+
+module.exports = {
+  parseEntities,
+  extractEntities
+};
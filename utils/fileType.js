@@ -0,0 +1,79 @@
+
+const fs = require('fs/promises');
+
+// Number of leading bytes needed to recognise any of the formats below
+const HEADER_LENGTH = 16;
+
+const startsWith = (header, bytes, offset = 0) => {
+  return bytes.every((byte, index) => header[offset + index] === byte);
+};
+
+const ascii = (text) => [...text].map(char => char.charCodeAt(0));
+
+const MB = 1024 * 1024;
+
+// Largest accepted file of each kind of media
+const MAX_SIZES = {
+  image: 5 * MB,
+  gif: 15 * MB,
+  video: 100 * MB
+};
+
+// Major brands of ISO base media files we accept as MP4 video. Others,
+// such as AVIF and HEIF images or 3GP, aren't.
+const MP4_BRANDS = [
+  'isom', 'iso2', 'iso4', 'iso5', 'iso6',
+  'mp41', 'mp42', 'avc1', 'dash',
+  'M4V ', 'M4VH', 'M4VP'
+];
+
+const isVideoContainer = (header) => {
+  const brand = header.subarray(8, 12).toString('latin1');
+  return startsWith(header, ascii('ftyp'), 4) && MP4_BRANDS.includes(brand);
+};
+
+// Formats recognised by their leading "magic" bytes
+const SIGNATURES = [
+  { mimeType: 'image/jpeg', test: header => startsWith(header, [0xff, 0xd8, 0xff]) },
+  { mimeType: 'image/png', test: header => startsWith(header, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { mimeType: 'image/gif', test: header => startsWith(header, ascii('GIF87a')) || startsWith(header, ascii('GIF89a')) },
+  { mimeType: 'image/webp', test: header => startsWith(header, ascii('RIFF')) && startsWith(header, ascii('WEBP'), 8) },
+  { mimeType: 'video/webm', test: header => startsWith(header, [0x1a, 0x45, 0xdf, 0xa3]) },
+  // ISO base media files have an ftyp box first; QuickTime uses the "qt" brand
+  { mimeType: 'video/quicktime', test: header => startsWith(header, ascii('ftypqt'), 4) },
+  { mimeType: 'video/mp4', test: isVideoContainer }
+];
+
+// What kind of attachment each supported MIME type is
+const MEDIA_TYPES = {
+  'image/jpeg': 'image',
+  'image/png': 'image',
+  'image/webp': 'image',
+  'image/gif': 'gif',
+  'video/mp4': 'video',
+  'video/quicktime': 'video',
+  'video/webm': 'video'
+};
+
+// Detect the MIME type of a file from its content, ignoring its name.
+// Returns null for formats we don't accept.
+const sniffMimeType = async (filePath) => {
+  const file = await fs.open(filePath, 'r');
+
+  try {
+    const { buffer, bytesRead } = await file.read(Buffer.alloc(HEADER_LENGTH), 0, HEADER_LENGTH, 0);
+    const header = buffer.subarray(0, bytesRead);
+    const match = SIGNATURES.find(signature => signature.test(header));
+
+    return match ? match.mimeType : null;
+  } finally {
+    await file.close();
+  }
+};
+
+module.exports = {
+  MB,
+  MAX_SIZES,
+  MEDIA_TYPES,
+  sniffMimeType
+};
@@ -0,0 +1,74 @@
+
+const { getStore } = require('./rateLimitStore');
+
+const MINUTE = 60 * 1000;
+const MAX_LOCK_MS = 24 * 60 * MINUTE;
+// Failures are forgotten a day after the first one
+const FAILURE_TTL = 24 * 60 * MINUTE;
+
+// Failures are counted per email and IP, so failed attempts from elsewhere
+// can't easily lock the owner out, and per email alone, so an attacker
+// rotating IPs is still slowed down. The account-wide counter allows more
+// failures before it locks and locks for longer.
+const COUNTERS = [
+  {
+    key: (email, ip) => `${email}:${ip}`,
+    failuresBeforeLock: 5,
+    baseLockMs: MINUTE
+  },
+  {
+    key: (email) => `account:${email}`,
+    failuresBeforeLock: 20,
+    baseLockMs: 5 * MINUTE
+  }
+];
+
+// Keyed by email whether or not an account exists, so lockouts don't
+// reveal which emails are registered
+const keysFor = (email, ip) => {
+  const normalized = String(email).trim().toLowerCase();
+  return COUNTERS.map(counter => counter.key(normalized, ip));
+};
+
+// Seconds until the account unlocks for this IP, or 0 when it isn't locked
+const getLockout = async (email, ip) => {
+  const store = getStore();
+  const locks = await Promise.all(keysFor(email, ip).map(key => store.get(`lock:${key}`)));
+  const remaining = Math.max(0, ...locks.map(lockedUntil => (lockedUntil || 0) - Date.now()));
+  return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+};
+
+// Record a failed attempt. Once a counter reaches its threshold, each
+// further failure locks the account for twice as long as the previous lock.
+const recordFailure = async (email, ip) => {
+  const store = getStore();
+  const keys = keysFor(email, ip);
+
+  for (const [index, counter] of COUNTERS.entries()) {
+    const failures = await store.increment(`fail:${keys[index]}`, FAILURE_TTL);
+
+    if (failures >= counter.failuresBeforeLock) {
+      const lockMs = Math.min(
+        counter.baseLockMs * 2 ** (failures - counter.failuresBeforeLock),
+        MAX_LOCK_MS
+      );
+      await store.set(`lock:${keys[index]}`, Date.now() + lockMs, lockMs);
+    }
+  }
+};
+
+// Clear both counters after a successful sign-in
+const resetFailures = async (email, ip) => {
+  const store = getStore();
+
+  for (const key of keysFor(email, ip)) {
+    await store.delete(`fail:${key}`);
+    await store.delete(`lock:${key}`);
+  }
+};
+
+module.exports = {
+  getLockout,
+  recordFailure,
+  resetFailures
+};
@@ -0,0 +1,51 @@
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const config = require('../config/mailer');
+
+// Writes each message as a JSON file, for development and tests
+class FileTransport {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  async sendMail(message) {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const file = path.join(this.dir, `${Date.now()}-${crypto.randomUUID()}.json`);
+    await fs.writeFile(file, JSON.stringify(message, null, 2));
+
+    return { messageId: path.basename(file) };
+  }
+}
+
+const createTransport = () => {
+  if (config.transport === 'smtp') {
+    return nodemailer.createTransport(config.smtp);
+  }
+  return new FileTransport(config.dir);
+};
+
+let transport = null;
+
+// Replace the transport, e.g. with a stub in tests. Any object with a
+// nodemailer-style sendMail(message) works.
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+const sendMail = ({ to, subject, text, html }) => {
+  if (!transport) {
+    transport = createTransport();
+  }
+
+  return transport.sendMail({ from: config.from, to, subject, text, html });
+};
+
+module.exports = {
+  FileTransport,
+  setTransport,
+  sendMail
+};
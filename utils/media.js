@@ -0,0 +1,120 @@
+
+const mongoose = require('mongoose');
+const cloudinary = require('../config/cloudinary');
+const Media = require('../models/Media');
+
+const MAX_IMAGES = 4;
+
+// Public ID of an image from its Cloudinary delivery URL, e.g.
+// https://res.cloudinary.com/demo/image/upload/v1712/chirp/tweets/abc.jpg
+// gives chirp/tweets/abc. Returns null for any other URL.
+const publicIdFromUrl = (url) => {
+  const match = String(url || '').match(/^https?:\/\/res\.cloudinary\.com\/.+?\/upload\/(?:.+\/)?v\d+\/(.+?)(?:\.\w+)?$/);
+  return match ? match[1] : null;
+};
+
+// Delete an uploaded image by its URL. Images that are already gone are
+// ignored, so this is safe to repeat.
+const destroyImage = async (url) => {
+  const publicId = publicIdFromUrl(url);
+
+  if (!publicId) {
+    return false;
+  }
+
+  await cloudinary.uploader.destroy(publicId);
+  return true;
+};
+
+// Cloudinary keeps videos apart from images, GIFs included
+const resourceType = (type) => (type === 'video' ? 'video' : 'image');
+
+// Upload a file checked by the mediaType middleware
+const uploadMedia = (file) => {
+  return cloudinary.uploader.upload(file.path, {
+    folder: 'chirp/media',
+    resource_type: resourceType(file.mediaType)
+  });
+};
+
+// Delete uploaded media from Cloudinary along with its record
+const destroyMedia = async (media) => {
+  await cloudinary.uploader.destroy(media.publicId, {
+    resource_type: resourceType(media.type)
+  });
+  await Media.deleteOne({ _id: media._id });
+};
+
+// Media IDs from a request body: an array, or a JSON array or
+// comma-separated string in multipart requests
+const parseMediaIds = (value) => {
+  let ids = value || [];
+
+  if (typeof ids === 'string') {
+    try {
+      ids = JSON.parse(ids);
+    } catch (err) {
+      ids = ids.split(',');
+    }
+  }
+
+  return [...new Set([].concat(ids).map(id => String(id).trim()).filter(Boolean))];
+};
+
+// Check that a user can attach the given media to a new tweet: up to four
+// images, or one GIF or video, all theirs and not yet attached. Returns
+// the IDs in the given order, or an error message.
+const findAttachableMedia = async (value, userId) => {
+  const ids = parseMediaIds(value);
+
+  if (ids.length === 0) {
+    return { media: [] };
+  }
+
+  const media = ids.every(id => mongoose.isValidObjectId(id))
+    ? await Media.find({ _id: { $in: ids }, user: userId, tweet: null }).select('type')
+    : [];
+
+  if (media.length !== ids.length) {
+    return { error: 'Media not found or already attached' };
+  }
+
+  const onlyImages = media.every(item => item.type === 'image');
+
+  if (onlyImages ? media.length > MAX_IMAGES : media.length > 1) {
+    return { error: `A tweet can have up to ${MAX_IMAGES} images, or one GIF or video` };
+  }
+
+  return { media: ids };
+};
+
+// Attach media to a tweet. Fails, attaching nothing, if any of it was
+// attached elsewhere in the meantime.
+const attachMedia = async (ids, userId, tweetId) => {
+  const { modifiedCount } = await Media.updateMany(
+    { _id: { $in: ids }, user: userId, tweet: null },
+    { $set: { tweet: tweetId } }
+  );
+
+  if (modifiedCount !== ids.length) {
+    await releaseMedia(tweetId);
+    return false;
+  }
+
+  return true;
+};
+
+// Make media attached to a tweet that wasn't created available again
+const releaseMedia = (tweetId) => {
+  return Media.updateMany({ tweet: tweetId }, { $set: { tweet: null } });
+};
+
+module.exports = {
+  publicIdFromUrl,
+  destroyImage,
+  uploadMedia,
+  destroyMedia,
+  findAttachableMedia,
+  attachMedia,
+  releaseMedia
+};
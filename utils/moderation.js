@@ -0,0 +1,32 @@
+
+const AuditLog = require('../models/AuditLog');
+const Report = require('../models/Report');
+
+// Append a moderation action to the audit log
+const recordAction = ({ actor, action, targetType, target, report = null, details = {} }) => {
+  return AuditLog.create({ actor, action, targetType, target, report, details });
+};
+
+// Close the open reports of a target once an action was taken on it.
+// Returns the number of reports closed.
+const resolveReportsFor = async (target, { moderator, action, note }) => {
+  const result = await Report.updateMany(
+    { target, status: 'open' },
+    {
+      $set: {
+        status: 'resolved',
+        action,
+        resolvedBy: moderator,
+        resolvedAt: new Date(),
+        ...(note && { resolutionNote: note })
+      }
+    }
+  );
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  recordAction,
+  resolveReportsFor
+};
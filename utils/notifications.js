@@ -0,0 +1,68 @@
+
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { publishNotification } = require('./realtime');
+const { isIgnoring } = require('./relationships');
+
+// Create a notification, or add the actor to an existing unread
+// notification of the same type on the same tweet
+const createNotification = async ({ recipient, actor, type, tweet = null }) => {
+  // Don't notify users about their own actions
+  if (recipient.toString() === actor.toString()) {
+    return null;
+  }
+
+  // Nor about accounts they blocked or muted
+  if (await isIgnoring(recipient, actor)) {
+    return null;
+  }
+
+  const notification = await Notification.findOneAndUpdate(
+    { recipient, type, tweet, read: false },
+    { $addToSet: { actors: actor } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  )
+  .populate('actors', '_id name username profilePicture isVerified')
+  .populate('tweet', '_id content image');
+
+  await publishNotification(notification);
+
+  return notification;
+};
+
+// Remove an actor from matching notifications (e.g. on unlike or unfollow)
+// and delete any notification left without actors
+const removeNotification = async ({ recipient, actor, type, tweet = null }) => {
+  const filter = { recipient, type, tweet };
+
+  await Notification.updateMany(filter, { $pull: { actors: actor } });
+  await Notification.deleteMany({ ...filter, actors: { $size: 0 } });
+};
+
+// Notify users mentioned with @username in tweet content. Mentions in
+// protected tweets only notify the author's followers.
+const notifyMentions = async (tweet) => {
+  const authorId = tweet.user._id || tweet.user;
+  let mentioned = [...new Set((tweet.entities || [])
+    .filter(entity => entity.type === 'mention' && entity.user)
+    .map(entity => entity.user.toString()))];
+
+  if (tweet.isProtected && mentioned.length > 0) {
+    const followers = await User.find({ _id: { $in: mentioned }, following: authorId })
+      .distinct('_id');
+    mentioned = followers.map(id => id.toString());
+  }
+
+  await Promise.all(mentioned.map(userId => createNotification({
+    recipient: userId,
+    actor: authorId,
+    type: 'mention',
+    tweet: tweet._id
+  })));
+};
+
+module.exports = {
+  createNotification,
+  removeNotification,
+  notifyMentions
+};
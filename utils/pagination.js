@@ -0,0 +1,135 @@
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Cursors are opaque to clients: base64url-encoded JSON
+const encodeCursor = (payload) => {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Returns null for anything that isn't a cursor we issued
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Cursor for a position in a list sorted by (field, _id)
+const positionCursor = (doc, field) => encodeCursor({ v: doc[field], id: doc._id });
+
+// Add the cursor condition to a query filter. Lists are newest first, so
+// "older" continues past the cursor and "newer" fetches items above it.
+const withCursor = (filter, page, field = 'createdAt') => {
+  if (!page.position) {
+    return filter;
+  }
+  
+  const value = new Date(page.position.v);
+  const op = page.direction === 'newer' ? '$gt' : '$lt';
+  
+  return {
+    $and: [
+      filter,
+      {
+        $or: [
+          { [field]: { [op]: value } },
+          { [field]: value, _id: { [op]: page.position.id } }
+        ]
+      }
+    ]
+  };
+};
+
+// Sort order matching withCursor
+const cursorSort = (page, field = 'createdAt') => {
+  const order = page.direction === 'newer' ? 1 : -1;
+  return { [field]: order, _id: order };
+};
+
+// Build the response envelope from documents fetched with a limit of
+// page.limit + 1. Items are always returned newest first. Items the
+// serializer returns null for are left out, but cursors still move past
+// them, so a page may come back short.
+const buildPage = (docs, page, field = 'createdAt', serialize = doc => doc) => {
+  const hasMore = docs.length > page.limit;
+  const items = docs.slice(0, page.limit);
+  
+  if (page.direction === 'newer') {
+    items.reverse();
+  }
+  
+  const first = items[0];
+  const last = items[items.length - 1];
+  
+  let nextCursor = null;
+  if (last && (page.direction === 'newer' || hasMore)) {
+    nextCursor = positionCursor(last, field);
+  }
+  
+  // Pass prev_cursor as ?since= to load items newer than this page
+  let prevCursor = first ? positionCursor(first, field) : null;
+  if (!first && page.position) {
+    prevCursor = encodeCursor(page.position);
+  }
+  
+  return {
+    data: items.map(serialize).filter(item => item !== null),
+    next_cursor: nextCursor,
+    prev_cursor: prevCursor
+  };
+};
+
+// Page through IDs kept in an array in the order they were added, such as
+// a user's followers, newest first. Cursors hold the ID at the edge of the
+// page and its index, which is used when that ID has left the array since.
+// Returns the IDs of the page and the cursors for the response.
+const arrayPage = (ids, page) => {
+  const newestFirst = ids.map(id => id.toString()).reverse();
+  let start = 0;
+  let end = newestFirst.length;
+  
+  if (page.anchor) {
+    const found = newestFirst.indexOf(page.anchor.id);
+    const index = found >= 0 ? found : Math.min(page.anchor.index, newestFirst.length);
+    
+    if (page.direction === 'newer') {
+      end = index;
+    } else {
+      start = found >= 0 ? index + 1 : index;
+    }
+  }
+  
+  if (page.direction === 'newer') {
+    start = Math.max(end - page.limit, 0);
+  } else {
+    end = Math.min(start + page.limit, newestFirst.length);
+  }
+  
+  const items = newestFirst.slice(start, end);
+  const anchorAt = (index) => encodeCursor({ id: newestFirst[index], index });
+  
+  let prevCursor = items.length > 0 ? anchorAt(start) : null;
+  if (items.length === 0 && page.anchor) {
+    prevCursor = encodeCursor(page.anchor);
+  }
+  
+  return {
+    ids: items,
+    next_cursor: items.length > 0 && end < newestFirst.length ? anchorAt(end - 1) : null,
+    prev_cursor: prevCursor
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  withCursor,
+  cursorSort,
+  buildPage,
+  arrayPage
+};
@@ -0,0 +1,89 @@
+
+const MINUTE = 60 * 1000;
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 4;
+const MAX_OPTION_LENGTH = 25;
+// Poll durations, in minutes
+const MIN_DURATION = 5;
+const MAX_DURATION = 7 * 24 * 60;
+
+// Validate a poll from a request body: { options: [text], duration } with
+// the duration in minutes. Multipart requests send it as a JSON string.
+// Returns the poll to store, or an error message.
+const parsePoll = (input, now = Date.now()) => {
+  let poll = input;
+
+  if (typeof poll === 'string') {
+    try {
+      poll = JSON.parse(poll);
+    } catch (err) {
+      poll = null;
+    }
+  }
+
+  if (!poll || !Array.isArray(poll.options)) {
+    return { error: 'Poll must have a list of options' };
+  }
+
+  const options = poll.options.map(option => String(option || '').trim());
+
+  if (options.length < MIN_OPTIONS || options.length > MAX_OPTIONS) {
+    return { error: `A poll must have between ${MIN_OPTIONS} and ${MAX_OPTIONS} options` };
+  }
+
+  if (options.some(option => !option || option.length > MAX_OPTION_LENGTH)) {
+    return { error: `Poll options must have 1 to ${MAX_OPTION_LENGTH} characters` };
+  }
+
+  const duration = Number(poll.duration);
+
+  if (!Number.isInteger(duration) || duration < MIN_DURATION || duration > MAX_DURATION) {
+    return {
+      error: `Poll duration must be between ${MIN_DURATION} and ${MAX_DURATION} minutes`
+    };
+  }
+
+  return {
+    poll: {
+      options: options.map(text => ({ text, voters: [] })),
+      endsAt: new Date(now + duration * MINUTE)
+    }
+  };
+};
+
+const idOf = (value) => (value._id || value).toString();
+
+// Poll as the viewer sees it. Vote counts are hidden until the viewer has
+// voted or the poll has closed; a closed poll shows its final results.
+// Voters are never included.
+const serializePoll = (poll, viewerId, now = new Date()) => {
+  const counts = poll.options.map(option => option.voters.length);
+  const totalVotes = counts.reduce((sum, count) => sum + count, 0);
+  const viewerVote = viewerId
+    ? poll.options.findIndex(option => option.voters.some(voter => idOf(voter) === viewerId.toString()))
+    : -1;
+  const isClosed = poll.endsAt <= now;
+  const showResults = isClosed || viewerVote !== -1;
+  const maxCount = Math.max(...counts);
+
+  return {
+    options: poll.options.map((option, index) => ({
+      text: option.text,
+      ...(showResults && {
+        votes: counts[index],
+        percentage: totalVotes > 0 ? Math.round(counts[index] / totalVotes * 1000) / 10 : 0
+      }),
+      ...(isClosed && { isWinner: totalVotes > 0 && counts[index] === maxCount })
+    })),
+    totalVotes,
+    endsAt: poll.endsAt,
+    status: isClosed ? 'final' : 'open',
+    viewerVote: viewerVote === -1 ? null : viewerVote
+  };
+};
+
+module.exports = {
+  parsePoll,
+  serializePoll
+};
@@ -0,0 +1,88 @@
+
+const { EventEmitter } = require('events');
+
+// In-process adapter used by default. Only reaches subscribers in this process.
+class MemoryAdapter {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+  }
+
+  async publish(channel, message) {
+    this.emitter.emit(channel, message);
+  }
+
+  async subscribe(channel, handler) {
+    this.emitter.on(channel, handler);
+    return async () => this.emitter.off(channel, handler);
+  }
+}
+
+// Adapter for Redis-compatible clients (ioredis API). Pub/sub needs two
+// connections because a subscribed connection can't publish.
+class RedisAdapter {
+  constructor(publisher, subscriber) {
+    this.publisher = publisher;
+    this.subscriber = subscriber;
+    this.handlers = new Map();
+
+    this.subscriber.on('message', (channel, message) => {
+      const handlers = this.handlers.get(channel);
+      if (handlers) {
+        handlers.forEach(handler => handler(message));
+      }
+    });
+  }
+
+  async publish(channel, message) {
+    await this.publisher.publish(channel, message);
+  }
+
+  async subscribe(channel, handler) {
+    if (!this.handlers.has(channel)) {
+      this.handlers.set(channel, new Set());
+      await this.subscriber.subscribe(channel);
+    }
+    this.handlers.get(channel).add(handler);
+
+    return async () => {
+      const handlers = this.handlers.get(channel);
+      if (!handlers) return;
+
+      handlers.delete(handler);
+      if (handlers.size === 0) {
+        this.handlers.delete(channel);
+        await this.subscriber.unsubscribe(channel);
+      }
+    };
+  }
+}
+
+let adapter = new MemoryAdapter();
+
+// Replace the adapter, e.g. pubsub.use(new RedisAdapter(pub, sub))
+const use = (newAdapter) => {
+  adapter = newAdapter;
+};
+
+const publish = async (channel, data) => {
+  try {
+    await adapter.publish(channel, JSON.stringify(data));
+  } catch (error) {
+    // Real-time delivery is best effort and must never fail a request
+    console.error('Pubsub publish error:', error.message);
+  }
+};
+
+// Returns a function that removes the subscription
+const subscribe = (channel, handler) => {
+  return adapter.subscribe(channel, message => handler(JSON.parse(message)));
+};
+
+module.exports = {
+  MemoryAdapter,
+  RedisAdapter,
+  use,
+  publish,
+  subscribe
+};
@@ -0,0 +1,176 @@
+
+const mongoose = require('mongoose');
+const Tweet = require('../models/Tweet');
+const User = require('../models/User');
+const weights = require('../config/ranking');
+const { tweetPopulate } = require('./tweets');
+
+const CANDIDATE_MAX_AGE = 3 * 24 * 60 * 60 * 1000;
+const MAX_CANDIDATES_PER_SOURCE = 300;
+const MAX_SECOND_DEGREE_AUTHORS = 200;
+const MAX_RANKED = 500;
+
+const HOUR = 60 * 60 * 1000;
+
+const idOf = (value) => (value._id || value).toString();
+
+// Count how often the viewer liked, retweeted or replied to each author
+const getAffinities = async (viewerId, authorIds) => {
+  const affinities = new Map();
+  const add = (authorId, count) => {
+    affinities.set(authorId, (affinities.get(authorId) || 0) + count);
+  };
+
+  const engaged = await Tweet.aggregate([
+    {
+      $match: {
+        user: { $in: authorIds },
+        $or: [{ likes: viewerId }, { retweets: viewerId }]
+      }
+    },
+    { $group: { _id: '$user', count: { $sum: 1 } } }
+  ]);
+  engaged.forEach(({ _id, count }) => add(_id.toString(), count));
+
+  const replies = await Tweet.find({ user: viewerId, replyTo: { $exists: true } })
+    .select('replyTo')
+    .populate('replyTo', 'user')
+    .sort({ createdAt: -1 })
+    .limit(MAX_CANDIDATES_PER_SOURCE);
+  replies
+    .filter(reply => reply.replyTo)
+    .forEach(reply => add(reply.replyTo.user.toString(), 1));
+
+  return affinities;
+};
+
+// Count direct replies of each tweet
+const getCommentCounts = async (tweetIds) => {
+  const counts = await Tweet.aggregate([
+    { $match: { replyTo: { $in: tweetIds } } },
+    { $group: { _id: '$replyTo', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+const score = (tweet, { commentCount, affinity, sourceWeight }, now) => {
+  // Engagement of a retweet is that of the original tweet
+  const original = tweet.retweetData || tweet;
+  const engagement = 1 +
+    weights.likes * Math.log1p(original.likes.length) +
+    weights.retweets * Math.log1p(original.retweets.length) +
+    weights.comments * Math.log1p(commentCount);
+
+  const ageHours = (now - tweet.createdAt) / HOUR;
+  const recency = Math.pow(0.5, ageHours / weights.recencyHalfLife);
+
+  return engagement * recency * (1 + weights.affinity * affinity) * sourceWeight;
+};
+
+// Order of ranked entries: best score first, ties by newest tweet ID
+const compareRank = (a, b) => {
+  if (a.score !== b.score) return b.score - a.score;
+
+  const aId = idOf(a.tweet);
+  const bId = idOf(b.tweet);
+  return aId < bId ? 1 : aId > bId ? -1 : 0;
+};
+
+// Check if a ranked entry comes after the rank of { score, id } in a
+// cursor
+const isRankedAfter = (entry, rank) => {
+  return compareRank({ score: rank.score, tweet: rank.id }, entry) < 0;
+};
+
+// Build the ranked home timeline for a user as of the given time. Returns
+// tweet documents with the `reason` each one was picked for and their
+// `score`, best first. Ranking again as of the same time gives the same
+// order, unless engagement changed in between.
+const getRankedTimeline = async (user, now = Date.now()) => {
+  const viewerId = user._id;
+  const following = user.following.map(idOf);
+  const since = new Date(now - CANDIDATE_MAX_AGE);
+
+  const followedUsers = await User.find({ _id: { $in: following } }).select('_id name following');
+  const namesById = new Map(followedUsers.map(followed => [idOf(followed), followed.name]));
+
+  // Accounts followed by people the viewer follows
+  const secondDegree = new Map();
+  for (const followed of followedUsers) {
+    for (const id of followed.following.map(idOf)) {
+      if (secondDegree.size >= MAX_SECOND_DEGREE_AUTHORS) break;
+      if (id === idOf(viewerId) || namesById.has(id) || secondDegree.has(id)) continue;
+      secondDegree.set(id, followed.name);
+    }
+  }
+
+  const excluded = [...following, idOf(viewerId)];
+  const find = (filter) => Tweet.find({
+    ...filter,
+    replyTo: { $exists: false }, // Exclude replies
+    deletedAt: null,
+    createdAt: { $gte: since }
+  })
+  .populate(tweetPopulate)
+  .sort({ createdAt: -1 })
+  .limit(MAX_CANDIDATES_PER_SOURCE);
+
+  const [fromFollowing, likedByFollowing, fromSecondDegree] = await Promise.all([
+    find({ user: { $in: excluded } }),
+    find({ likes: { $in: following }, user: { $nin: excluded } }),
+    find({ user: { $in: [...secondDegree.keys()] } })
+  ]);
+
+  // Deduplicate by original tweet; earlier sources take precedence
+  const candidates = new Map();
+  const addCandidate = (tweet, sourceWeight, reason) => {
+    // Skip retweets of deleted tweets and tweets of deleted authors
+    const original = tweet.retweetData || tweet;
+    if (!tweet.content && !tweet.image && !tweet.retweetData) return;
+    if (!tweet.user || !original.user) return;
+
+    const key = idOf(tweet.retweetData || tweet);
+    if (!candidates.has(key)) {
+      candidates.set(key, { tweet, sourceWeight, reason });
+    }
+  };
+
+  fromFollowing.forEach(tweet => addCandidate(tweet, weights.following, null));
+
+  likedByFollowing.forEach(tweet => {
+    const likerId = tweet.likes.map(idOf).find(id => namesById.has(id));
+    addCandidate(tweet, weights.likedByFollowing, `Liked by ${namesById.get(likerId)}`);
+  });
+
+  fromSecondDegree.forEach(tweet => {
+    addCandidate(tweet, weights.secondDegree, `Followed by ${secondDegree.get(idOf(tweet.user))}`);
+  });
+
+  const entries = [...candidates.values()];
+  const originals = entries.map(({ tweet }) => tweet.retweetData || tweet);
+
+  const [commentCounts, affinities] = await Promise.all([
+    getCommentCounts(originals.map(tweet => tweet._id)),
+    getAffinities(viewerId, [...new Set(originals.map(tweet => idOf(tweet.user)))]
+      .map(id => new mongoose.Types.ObjectId(id)))
+  ]);
+
+  return entries
+    .map(entry => {
+      const original = entry.tweet.retweetData || entry.tweet;
+      entry.score = score(entry.tweet, {
+        commentCount: commentCounts.get(idOf(original)) || 0,
+        affinity: affinities.get(idOf(original.user)) || 0,
+        sourceWeight: entry.sourceWeight
+      }, now);
+      return entry;
+    })
+    .sort(compareRank)
+    .slice(0, MAX_RANKED);
+};
+
+module.exports = {
+  getRankedTimeline,
+  isRankedAfter
+};
@@ -0,0 +1,105 @@
+
+// Counter stores for rate limiting. Keys expire on their own so stores
+// never need cleanup by callers.
+
+// Default store, local to this process
+class MemoryStore {
+  constructor({ sweepInterval = 60 * 1000 } = {}) {
+    this.entries = new Map();
+
+    this.sweeper = setInterval(() => {
+      const now = Date.now();
+      for (const [key, entry] of this.entries) {
+        if (entry.expiresAt <= now) this.entries.delete(key);
+      }
+    }, sweepInterval);
+    this.sweeper.unref();
+  }
+
+  read(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  // Increment a counter, creating it with a time to live if missing
+  async increment(key, ttlMs) {
+    const entry = this.read(key);
+
+    if (entry) {
+      entry.value += 1;
+      return entry.value;
+    }
+
+    this.entries.set(key, { value: 1, expiresAt: Date.now() + ttlMs });
+    return 1;
+  }
+
+  async get(key) {
+    const entry = this.read(key);
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+// Store for Redis-compatible clients (ioredis API), shared by all instances
+class RedisStore {
+  constructor(client, { prefix = 'rl:' } = {}) {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async increment(key, ttlMs) {
+    const value = await this.client.incr(this.prefix + key);
+    if (value === 1) {
+      await this.client.pexpire(this.prefix + key, ttlMs);
+    }
+    return value;
+  }
+
+  async get(key) {
+    const value = await this.client.get(this.prefix + key);
+    return value === null ? null : Number(value);
+  }
+
+  async set(key, value, ttlMs) {
+    await this.client.set(this.prefix + key, value, 'PX', ttlMs);
+  }
+
+  async delete(key) {
+    await this.client.del(this.prefix + key);
+  }
+}
+
+let store = null;
+
+// Replace the store, e.g. rateLimitStore.use(new RedisStore(client))
+const use = (newStore) => {
+  store = newStore;
+};
+
+const getStore = () => {
+  if (!store) {
+    store = new MemoryStore();
+  }
+  return store;
+};
+
+module.exports = {
+  MemoryStore,
+  RedisStore,
+  use,
+  getStore
+};
@@ -0,0 +1,87 @@
+
+const pubsub = require('./pubsub');
+const { serializeTweet } = require('./tweets');
+
+// Channel names
+const channels = {
+  authorTweets: (userId) => `tweets:${userId}`,
+  tweetCounts: (tweetId) => `tweet:${tweetId}`,
+  notifications: (userId) => `notifications:${userId}`,
+  messages: (userId) => `messages:${userId}`,
+  relationships: (userId) => `relationships:${userId}`
+};
+
+// Push a new tweet to streams of the author's followers. It is serialized
+// without a viewer, so polls of it or of the tweet it retweets or quotes
+// don't reveal voters or results; each stream checks it against its
+// viewer's filter before sending it on.
+const publishTweet = (tweet) => {
+  const authorId = tweet.user._id || tweet.user;
+
+  return pubsub.publish(channels.authorTweets(authorId), {
+    event: 'tweet',
+    data: serializeTweet(tweet)
+  });
+};
+
+// Push current like/retweet counters to streams watching the tweet
+const publishTweetCounts = (tweet) => {
+  return pubsub.publish(channels.tweetCounts(tweet._id), {
+    event: 'counts',
+    data: {
+      tweetId: tweet._id,
+      likes: tweet.likes.length,
+      retweets: tweet.retweets.length
+    }
+  });
+};
+
+// Tell streams watching a tweet that it was edited. The content isn't
+// included: the viewer may have lost access since they started watching,
+// so clients refetch the tweet.
+const publishTweetEdit = (tweet) => {
+  return pubsub.publish(channels.tweetCounts(tweet._id), {
+    event: 'edit',
+    data: {
+      tweetId: tweet._id,
+      editedAt: tweet.editedAt
+    }
+  });
+};
+
+// Tell a user's streams that who they follow, block or mute, or their
+// muted words changed, so they can update which tweets they receive
+const publishRelationshipChange = (userId) => {
+  return pubsub.publish(channels.relationships(userId._id || userId), {
+    event: 'relationships',
+    data: {}
+  });
+};
+
+// Push a created or updated notification to its recipient
+const publishNotification = (notification) => {
+  return pubsub.publish(channels.notifications(notification.recipient), {
+    event: 'notification',
+    data: notification.toObject ? notification.toObject() : notification
+  });
+};
+
+// Push a direct message to every participant of its conversation
+const publishMessage = (message, participants) => {
+  const data = message.toObject ? message.toObject() : message;
+
+  return Promise.all(participants.map(userId => pubsub.publish(
+    channels.messages(userId._id || userId),
+    { event: 'message', data }
+  )));
+};
+
+module.exports = {
+  channels,
+  publishTweet,
+  publishTweetCounts,
+  publishTweetEdit,
+  publishRelationshipChange,
+  publishNotification,
+  publishMessage
+};
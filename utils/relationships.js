@@ -0,0 +1,158 @@
+
+const User = require('../models/User');
+// Not destructured: accounts loads modules that load this one
+const accounts = require('./accounts');
+
+const idOf = (value) => (value._id || value).toString();
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Pattern for a muted word or phrase. Word boundaries are only added next
+// to ASCII word characters, the only ones \b handles in both JavaScript
+// and MongoDB regexes.
+const wordPattern = (word) => {
+  const start = /^\w/.test(word) ? '\\b' : '';
+  const end = /\w$/.test(word) ? '\\b' : '';
+  return `${start}${escapeRegex(word)}${end}`;
+};
+
+// Check if either user has blocked the other
+const isBlocked = async (userId, otherId) => {
+  const blocked = await User.exists({
+    $or: [
+      { _id: userId, blocked: otherId },
+      { _id: otherId, blocked: userId }
+    ]
+  });
+
+  return Boolean(blocked);
+};
+
+// Check if a user has blocked or muted another, e.g. before notifying them
+const isIgnoring = async (userId, otherId) => {
+  const now = new Date();
+  const ignoring = await User.exists({
+    _id: userId,
+    $or: [
+      { blocked: otherId },
+      {
+        muted: {
+          $elemMatch: {
+            user: otherId,
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+          }
+        }
+      }
+    ]
+  });
+
+  return Boolean(ignoring);
+};
+
+// Collect what a viewer shouldn't see: accounts they blocked or muted,
+// accounts that blocked them, and their muted words and hashtags. Only
+// followed authors' and the viewer's own protected tweets are visible, so
+// anonymous viewers see none.
+const getViewerFilter = async (viewer) => {
+  if (!viewer) {
+    return {
+      hiddenUsers: [],
+      hiddenUserIds: new Set(),
+      allowedAuthors: [],
+      allowedAuthorIds: new Set(),
+      hashtags: [],
+      contentPattern: null
+    };
+  }
+
+  const allowedAuthors = [viewer._id, ...viewer.following];
+  const blockedBy = await User.find({ blocked: viewer._id }).distinct('_id');
+  const hiddenUsers = [
+    ...viewer.blocked,
+    ...viewer.activeMutes().map(mute => mute.user),
+    ...blockedBy
+  ];
+
+  const words = viewer.activeMutedWords().map(mute => mute.word);
+  const phrases = words.filter(word => !word.startsWith('#'));
+
+  return {
+    hiddenUsers,
+    hiddenUserIds: new Set(hiddenUsers.map(idOf)),
+    allowedAuthors,
+    allowedAuthorIds: new Set(allowedAuthors.map(idOf)),
+    hashtags: words.filter(word => word.startsWith('#')).map(word => word.slice(1)),
+    contentPattern: phrases.length > 0
+      ? new RegExp(phrases.map(wordPattern).join('|'), 'i')
+      : null
+  };
+};
+
+// Check if a tweet is protected from the viewer
+const isProtectedFrom = (tweet, filter) => {
+  return Boolean(tweet.isProtected) &&
+    !(tweet.user && filter.allowedAuthorIds.has(idOf(tweet.user)));
+};
+
+// Add conditions to a tweet query that leave out hidden tweets. Retweets
+// carry no content of their own, so also check results with isVisibleTo.
+// Deleted tweets are left out too, unless `tombstones` is set for showing
+// them in place within a conversation.
+const excludeHiddenTweets = (query, filter, { tombstones = false } = {}) => {
+  const conditions = [
+    { authorInactive: { $ne: true } },
+    {
+      $or: [
+        { isProtected: { $ne: true } },
+        { user: { $in: filter.allowedAuthors } }
+      ]
+    }
+  ];
+
+  if (!tombstones) {
+    conditions.push({ deletedAt: null });
+  }
+  if (filter.hiddenUsers.length > 0) {
+    conditions.push({ user: { $nin: filter.hiddenUsers } });
+  }
+  if (filter.hashtags.length > 0) {
+    conditions.push({ hashtags: { $nin: filter.hashtags } });
+  }
+  if (filter.contentPattern) {
+    conditions.push({ content: { $not: filter.contentPattern } });
+  }
+
+  return { $and: [query, ...conditions] };
+};
+
+// Add conditions to a user query that leave out hidden and inactive
+// accounts
+const excludeHiddenUsers = (query, filter) => {
+  const conditions = [{ status: { $nin: accounts.INACTIVE_STATUSES } }];
+
+  if (filter.hiddenUsers.length > 0) {
+    conditions.push({ _id: { $nin: filter.hiddenUsers } });
+  }
+
+  return { $and: [query, ...conditions] };
+};
+
+// Check a populated tweet, and the tweet it retweets, against a filter
+const isVisibleTo = (tweet, filter) => {
+  return [tweet, tweet.retweetData].filter(Boolean).every(item => {
+    if (item.authorInactive || isProtectedFrom(item, filter)) return false;
+    if (item.user && filter.hiddenUserIds.has(idOf(item.user))) return false;
+    if ((item.hashtags || []).some(tag => filter.hashtags.includes(tag))) return false;
+    return !(filter.contentPattern && item.content && filter.contentPattern.test(item.content));
+  });
+};
+
+module.exports = {
+  isBlocked,
+  isIgnoring,
+  getViewerFilter,
+  isProtectedFrom,
+  excludeHiddenTweets,
+  excludeHiddenUsers,
+  isVisibleTo
+};
@@ -0,0 +1,191 @@
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const MFA_TOKEN_TTL = '5m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const MAX_ROTATED_HASHES = 500;
+const LAST_SEEN_RESOLUTION = 5 * 60 * 1000;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class TokenError extends Error {}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user, session) => {
+  return jwt.sign(
+    { id: user._id.toString(), sid: session._id.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+// Start a session for a device and return its first token pair
+const createSession = async (user, req) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    device: (req.get('User-Agent') || '').slice(0, 256),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY)
+  });
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+// Exchange a refresh token for a new pair. Presenting a token that was
+// already rotated means it leaked, so the whole session is revoked.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const hash = hashToken(String(refreshToken));
+
+  const reused = await Session.findOne({ rotatedHashes: hash });
+  if (reused) {
+    if (!reused.revokedAt) {
+      reused.revokedAt = new Date();
+      reused.revokedReason = 'refresh_token_reuse';
+      await reused.save();
+    }
+    throw new TokenError('Refresh token reuse detected, session revoked');
+  }
+
+  const newToken = crypto.randomBytes(48).toString('hex');
+
+  // Rotate atomically so two concurrent refreshes can't both succeed
+  const session = await Session.findOneAndUpdate(
+    { tokenHash: hash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        tokenHash: hashToken(newToken),
+        lastSeenAt: new Date(),
+        ip: req.ip,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY)
+      },
+      // Keep recent tokens only; older ones have long expired on clients
+      $push: { rotatedHashes: { $each: [hash], $slice: -MAX_ROTATED_HASHES } }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    throw new TokenError('Invalid refresh token');
+  }
+
+  const user = await User.findById(session.user).select('-password');
+
+  if (!user) {
+    throw new TokenError('Invalid refresh token');
+  }
+
+  if (!user.isActive()) {
+    throw new TokenError('Account is not active');
+  }
+
+  return {
+    user,
+    tokens: {
+      token: signAccessToken(user, session),
+      refreshToken: newToken,
+      expiresIn: ACCESS_TOKEN_TTL
+    }
+  };
+};
+
+// Verify an access token and its session. Returns the user and session.
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Tokens issued before sessions existed can't be revoked, so reject them
+  if (!decoded.sid) {
+    throw new TokenError('Token is not valid');
+  }
+
+  const session = await Session.findById(decoded.sid);
+
+  if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+    throw new TokenError('Session has been revoked');
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+
+  if (!user) {
+    throw new TokenError('Invalid token');
+  }
+
+  if (!user.isActive()) {
+    throw new TokenError('Account is not active');
+  }
+
+  if (Date.now() - session.lastSeenAt > LAST_SEEN_RESOLUTION) {
+    await Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date() } });
+  }
+
+  return { user, session };
+};
+
+// Check that a session and its account are still active, for connections
+// that outlive the request that authenticated them, such as streams
+const isSessionActive = async (sessionId) => {
+  const session = await Session.findById(sessionId);
+
+  if (!session || !session.isActive()) {
+    return false;
+  }
+
+  const user = await User.findById(session.user).select('status suspendedUntil');
+
+  return Boolean(user) && user.isActive();
+};
+
+// Short-lived token proving the password step of a two-factor login. It
+// has no session, so it is never accepted as an access token.
+const signMfaToken = (user) => {
+  return jwt.sign(
+    { id: user._id.toString(), purpose: 'mfa' },
+    process.env.JWT_SECRET,
+    { expiresIn: MFA_TOKEN_TTL }
+  );
+};
+
+// Returns the user ID from a valid MFA token
+const verifyMfaToken = (token) => {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+
+    if (decoded.purpose !== 'mfa') {
+      throw new Error('Wrong token purpose');
+    }
+
+    return decoded.id;
+  } catch (error) {
+    throw new TokenError('Invalid or expired MFA token');
+  }
+};
+
+// Revoke sessions matching a filter, e.g. { user } for all of a user's
+const revokeSessions = (filter, reason) => {
+  return Session.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+module.exports = {
+  TokenError,
+  createSession,
+  rotateRefreshToken,
+  verifyAccessToken,
+  isSessionActive,
+  signMfaToken,
+  verifyMfaToken,
+  revokeSessions
+};
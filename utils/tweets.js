@@ -0,0 +1,191 @@
+
+const Tweet = require('../models/Tweet');
+const Notification = require('../models/Notification');
+const { serializePoll } = require('./polls');
+const { isProtectedFrom } = require('./relationships');
+
+const USER_FIELDS = '_id name username profilePicture isVerified';
+const MEDIA_FIELDS = '_id type mimeType url width height duration altText';
+
+const mediaPopulate = { path: 'media', select: MEDIA_FIELDS };
+
+const idOf = (value) => (value._id || value).toString();
+
+const quotePopulate = {
+  path: 'quoteOf',
+  populate: [{ path: 'user', select: USER_FIELDS }, mediaPopulate]
+};
+
+// Populate options shared by every route that returns tweets
+const tweetPopulate = [
+  { path: 'user', select: USER_FIELDS },
+  mediaPopulate,
+  {
+    path: 'retweetData',
+    populate: [{ path: 'user', select: USER_FIELDS }, mediaPopulate, quotePopulate]
+  },
+  quotePopulate
+];
+
+// Shown in place of a quoted tweet that no longer exists or whose author
+// is suspended, banned or otherwise inactive
+const QUOTE_TOMBSTONE = {
+  deleted: true,
+  content: 'This tweet is unavailable'
+};
+
+const withQuoteTombstone = (data) => {
+  if (data && data.isQuote &&
+    (!data.quoteOf || data.quoteOf.deletedAt || data.quoteOf.authorInactive)) {
+    data.quoteOf = QUOTE_TOMBSTONE;
+  }
+  return data;
+};
+
+// Replace the poll of a tweet and of the tweets it retweets, quotes or
+// replies to with what the viewer may see of it
+const withPolls = (data, viewerId) => {
+  const items = [
+    data,
+    data.retweetData,
+    data.quoteOf,
+    data.retweetData && data.retweetData.quoteOf,
+    data.replyTo
+  ];
+  
+  for (const item of items) {
+    if (item && item.poll) {
+      item.poll = serializePoll(item.poll, viewerId);
+    }
+  }
+  return data;
+};
+
+// Shown in place of a deleted tweet, keeping what places it in a thread
+const tweetTombstone = (data) => ({
+  _id: data._id,
+  deleted: true,
+  content: 'This tweet was deleted',
+  replyTo: data.replyTo,
+  thread: data.thread,
+  commentCount: data.commentCount,
+  createdAt: data.createdAt,
+  deletedAt: data.deletedAt
+});
+
+// Shown in place of a tweet by an inactive account, keeping what places it
+// in a thread
+const unavailableTweet = (data) => ({
+  _id: data._id,
+  unavailable: true,
+  content: 'This tweet is unavailable',
+  replyTo: data.replyTo,
+  thread: data.thread
+});
+
+// Shown in place of a tweet from a protected account the viewer doesn't
+// follow, keeping what places it in a thread
+const protectedTweet = (data) => ({
+  _id: data._id,
+  unavailable: true,
+  content: 'This tweet is from a protected account',
+  replyTo: data.replyTo,
+  thread: data.thread
+});
+
+// Replace the tweets a serialized tweet, or the tweet it retweets, replies
+// to or quotes with a placeholder when the viewer may not see them: when
+// they are protected from the viewer or by an account hidden from them,
+// such as a blocked one. Returns a copy.
+const withHiddenRelated = (data, filter) => {
+  const hide = (item) => {
+    const result = { ...item };
+
+    for (const field of ['replyTo', 'quoteOf']) {
+      const related = result[field];
+
+      // Unpopulated IDs and placeholders have no author to check
+      if (!related || !related.user) continue;
+
+      if (isProtectedFrom(related, filter)) {
+        result[field] = protectedTweet(related);
+      } else if (filter.hiddenUserIds.has(idOf(related.user))) {
+        result[field] = unavailableTweet(related);
+      }
+    }
+    return result;
+  };
+
+  const result = hide(data);
+  if (result.retweetData) {
+    result.retweetData = hide(result.retweetData);
+  }
+  return result;
+};
+
+// Convert a populated tweet to a response object with the viewer's
+// interaction fields. With the viewer's filter from getViewerFilter, the
+// tweets it replies to or quotes that the viewer may not see are replaced;
+// leave it out only where the filter is applied later, as for streams.
+const serializeTweet = (tweet, viewerId, filter) => {
+  if (tweet.deletedAt) {
+    return tweetTombstone(tweet.toObject());
+  }
+  
+  const data = withQuoteTombstone(tweet.toObject());
+  withQuoteTombstone(data.retweetData);
+  
+  // A populated parent that was deleted reveals no more than its tombstone
+  if (data.replyTo && data.replyTo.deletedAt) {
+    data.replyTo = tweetTombstone(data.replyTo);
+  } else if (data.replyTo && data.replyTo.authorInactive) {
+    data.replyTo = unavailableTweet(data.replyTo);
+  }
+  withPolls(data, viewerId);
+  
+  return {
+    ...(filter ? withHiddenRelated(data, filter) : data),
+    // Marks the start of an author thread that timelines show collapsed
+    showThread: Boolean(data.thread) && data.thread.toString() === data._id.toString(),
+    isLiked: viewerId ? tweet.likes.includes(viewerId) : false,
+    isRetweeted: viewerId ? tweet.retweets.includes(viewerId) : false
+  };
+};
+
+// Turn a tweet into a tombstone. Its replies stay, while retweets of it and
+// notifications about it are removed. Retweets themselves have no content
+// to keep and are removed outright.
+const deleteTweet = async (tweet) => {
+  if (tweet.retweetData) {
+    await tweet.deleteOne();
+    await Tweet.updateOne({ _id: tweet.retweetData }, { $pull: { retweets: tweet.user } });
+    return;
+  }
+  
+  const deleted = await Tweet.findOneAndUpdate(
+    { _id: tweet._id, deletedAt: null },
+    { $set: { deletedAt: new Date(), pinned: false, retweets: [] } }
+  );
+  
+  // Already deleted by a concurrent request
+  if (!deleted) {
+    return;
+  }
+  
+  if (tweet.quoteOf) {
+    await Tweet.updateOne({ _id: tweet.quoteOf }, { $inc: { quoteCount: -1 } });
+  }
+  
+  await Tweet.deleteMany({ retweetData: tweet._id });
+  await Notification.deleteMany({ tweet: tweet._id });
+};
+
+module.exports = {
+  USER_FIELDS,
+  tweetPopulate,
+  unavailableTweet,
+  protectedTweet,
+  withHiddenRelated,
+  serializeTweet,
+  deleteTweet
+};
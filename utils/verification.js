@@ -0,0 +1,71 @@
+
+const crypto = require('crypto');
+const VerificationToken = require('../models/VerificationToken');
+const { sendMail } = require('./mailer');
+const { clientUrl } = require('../config/mailer');
+
+const HOUR = 60 * 60 * 1000;
+
+const TOKEN_TTL = {
+  email_verification: 24 * HOUR,
+  password_reset: HOUR
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create a token for a user, replacing any unused token of the same type
+const issueToken = async (user, type) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await VerificationToken.deleteMany({ user: user._id, type, usedAt: null });
+  await VerificationToken.create({
+    user: user._id,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL[type])
+  });
+
+  return token;
+};
+
+// Mark a token as used. Returns null if it is unknown, expired or used.
+const consumeToken = (token, type) => {
+  return VerificationToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(String(token)),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueToken(user, 'email_verification');
+  const link = `${clientUrl}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Chirp email address',
+    text: `Hi ${user.name},\n\nConfirm your email address by opening this link within 24 hours:\n${link}\n`
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueToken(user, 'password_reset');
+  const link = `${clientUrl}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Chirp password',
+    text: `Hi ${user.name},\n\nReset your password by opening this link within an hour:\n${link}\n\nIf you didn't ask for this, you can ignore this email.\n`
+  });
+};
+
+module.exports = {
+  consumeToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};